@@ -13,18 +13,21 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Folder, formats and resizing for product images
+const productImageParams = {
+  folder: 'globalitzone/products',
+  allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  transformation: [
+    { width: 800, height: 600, crop: 'limit' },
+    { quality: 'auto' },
+    { fetch_format: 'auto' }
+  ]
+};
+
 // Configure multer storage for Cloudinary
 const storage = new CloudinaryStorage({
   cloudinary: cloudinary,
-  params: {
-    folder: 'globalitzone/products',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-    transformation: [
-      { width: 800, height: 600, crop: 'limit' },
-      { quality: 'auto' },
-      { fetch_format: 'auto' }
-    ]
-  }
+  params: productImageParams
 });
 
 // Configure multer
@@ -61,6 +64,15 @@ export const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
+// Bulk product import: the CSV/JSON sheet in 'file' and an optional zip of
+// images in 'images', both kept in memory
+export const uploadImportFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]);
+
 // Single file upload middleware
 export const uploadSingle = upload.single('image');
 
@@ -78,6 +90,17 @@ export const deleteImage = async (publicId) => {
   }
 };
 
+// Upload a product image from a remote URL or a Buffer; resolves to
+// Cloudinary's result (secure_url, public_id, ...)
+export const uploadImage = (source) => {
+  if (!Buffer.isBuffer(source)) return cloudinary.uploader.upload(source, productImageParams);
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(productImageParams, (error, result) => (error ? reject(error) : resolve(result)))
+      .end(source);
+  });
+};
+
 // Get image URL with transformations
 export const getImageUrl = (publicId, transformations = {}) => {
   return cloudinary.url(publicId, {
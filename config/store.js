@@ -0,0 +1,19 @@
+// config/store.js
+// Store details printed on tax invoices. Override through environment variables.
+import dotenv from 'dotenv';
+dotenv.config();
+
+const store = {
+  name: process.env.STORE_NAME || 'Global IT Zone',
+  address: process.env.STORE_ADDRESS || '',
+  state: process.env.STORE_STATE || '',
+  stateCode: process.env.STORE_STATE_CODE || '',
+  gstin: process.env.STORE_GSTIN || '',
+  phone: process.env.STORE_PHONE || '',
+  email: process.env.STORE_EMAIL || '',
+  // Prices in the catalogue are GST-inclusive; this rate is used to split them
+  gstRate: Number(process.env.GST_RATE || 18),
+  invoicePrefix: process.env.INVOICE_PREFIX || 'GIT',
+};
+
+export default store;
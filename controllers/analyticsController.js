@@ -0,0 +1,382 @@
+// controllers/analyticsController.js
+// Admin dashboard analytics over bookings and products. Every endpoint takes
+// from/to (ISO dates; plain YYYY-MM-DD means whole days), tz=utc|ist for day
+// boundaries and buckets, and basis=booked|completed (see utils/analytics.js).
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import ProductViewDaily from '../models/ProductViewDaily.js';
+import { istDateKey } from '../utils/pickupSlots.js';
+import { round2 } from '../utils/pricing.js';
+import {
+  BASES,
+  resolveRange,
+  salesMatch,
+  netRevenueExpr,
+  lineItemStages,
+  bucketExpr,
+  bucketLabelExpr,
+  bucketLabels,
+  rate,
+} from '../utils/analytics.js';
+import { validationFailed } from '../utils/validation.js';
+
+const DEFAULT_LIMIT = 10;
+
+const rangeOf = (req) => resolveRange(req.query);
+
+const describeRange = (range, basis) => ({
+  from: range.start,
+  to: range.end,
+  timezone: range.zone.name,
+  ...(basis && { basis }),
+});
+
+// Revenue, order count, units and average order value per line-item group
+const salesGroup = (key) => ({
+  $group: {
+    _id: key,
+    revenue: { $sum: '$revenue' },
+    units: { $sum: '$quantity' },
+    bookingIds: { $addToSet: '$bookingId' },
+  },
+});
+
+const shapeSalesRow = ({ _id, revenue, units, bookingIds, ...rest }) => ({
+  ...rest,
+  revenue: round2(revenue),
+  units,
+  orders: bookingIds.length,
+});
+
+// GET /api/analytics/summary
+export const getSalesSummary = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+
+    const [result] = await Booking.aggregate([
+      {
+        $facet: {
+          sales: [
+            { $match: salesMatch(range, basis) },
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: netRevenueExpr },
+                orders: { $sum: 1 },
+                units: { $sum: '$quantity' },
+                discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
+                refunded: { $sum: { $ifNull: ['$refundAmount', 0] } },
+              },
+            },
+          ],
+          placed: [
+            { $match: { orderDate: { $gte: range.start, $lte: range.end } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+
+    const sales = result.sales[0] || { revenue: 0, orders: 0, units: 0, discountGiven: 0, refunded: 0 };
+    const byStatus = Object.fromEntries(result.placed.map((s) => [s._id, s.count]));
+    const placed = Object.values(byStatus).reduce((sum, n) => sum + n, 0);
+
+    res.json({
+      range: describeRange(range, basis),
+      summary: {
+        revenue: round2(sales.revenue),
+        orders: sales.orders,
+        units: sales.units,
+        averageOrderValue: sales.orders ? round2(sales.revenue / sales.orders) : 0,
+        discountGiven: round2(sales.discountGiven),
+        refunded: round2(sales.refunded),
+      },
+      // Orders placed in the range, whatever happened to them since
+      placedOrders: {
+        total: placed,
+        byStatus,
+        cancellationRate: rate(byStatus.cancelled || 0, placed),
+        returnRate: rate(byStatus.returned || 0, placed),
+      },
+    });
+  } catch (error) {
+    console.error('Get sales summary error:', error);
+    res.status(500).json({ message: 'Server error while fetching sales summary' });
+  }
+};
+
+// GET /api/analytics/sales?interval=day|week|month
+export const getSalesTimeseries = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+    const interval = req.query.interval || 'day';
+    const { dateField } = BASES[basis];
+
+    const rows = await Booking.aggregate([
+      { $match: salesMatch(range, basis) },
+      {
+        $group: {
+          _id: bucketLabelExpr(bucketExpr(dateField, interval, range.zone), range.zone),
+          revenue: { $sum: netRevenueExpr },
+          orders: { $sum: 1 },
+          units: { $sum: '$quantity' },
+        },
+      },
+    ]);
+
+    const byPeriod = new Map(rows.map((r) => [r._id, r]));
+    const series = bucketLabels(range, interval).map((period) => {
+      const row = byPeriod.get(period) || { revenue: 0, orders: 0, units: 0 };
+      return {
+        period,
+        revenue: round2(row.revenue),
+        orders: row.orders,
+        units: row.units,
+        averageOrderValue: row.orders ? round2(row.revenue / row.orders) : 0,
+      };
+    });
+
+    const totals = series.reduce(
+      (t, p) => ({ revenue: round2(t.revenue + p.revenue), orders: t.orders + p.orders, units: t.units + p.units }),
+      { revenue: 0, orders: 0, units: 0 }
+    );
+    totals.averageOrderValue = totals.orders ? round2(totals.revenue / totals.orders) : 0;
+
+    res.json({ range: describeRange(range, basis), interval, series, totals });
+  } catch (error) {
+    console.error('Get sales timeseries error:', error);
+    res.status(500).json({ message: 'Server error while fetching sales' });
+  }
+};
+
+// GET /api/analytics/sales/by-category
+export const getSalesByCategory = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+
+    const rows = await Booking.aggregate([
+      { $match: salesMatch(range, basis) },
+      ...lineItemStages(),
+      salesGroup('$productCategory'),
+      { $sort: { revenue: -1 } },
+    ]);
+
+    res.json({
+      range: describeRange(range, basis),
+      categories: rows.map((r) => ({ category: r._id, ...shapeSalesRow(r) })),
+    });
+  } catch (error) {
+    console.error('Get sales by category error:', error);
+    res.status(500).json({ message: 'Server error while fetching sales by category' });
+  }
+};
+
+// GET /api/analytics/sales/by-type — product type (Second Hand, Refurbished, ...)
+// comes from the current Product, since bookings do not snapshot it
+export const getSalesByType = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+
+    const rows = await Booking.aggregate([
+      { $match: salesMatch(range, basis) },
+      ...lineItemStages(),
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: 'productId',
+          foreignField: '_id',
+          pipeline: [{ $project: { type: 1 } }],
+          as: 'product',
+        },
+      },
+      salesGroup({ $ifNull: [{ $first: '$product.type' }, 'Unknown'] }),
+      { $sort: { revenue: -1 } },
+    ]);
+
+    res.json({
+      range: describeRange(range, basis),
+      types: rows.map((r) => ({ type: r._id, ...shapeSalesRow(r) })),
+    });
+  } catch (error) {
+    console.error('Get sales by type error:', error);
+    res.status(500).json({ message: 'Server error while fetching sales by type' });
+  }
+};
+
+// GET /api/analytics/products/top-selling?sort=units|revenue
+export const getTopSellingProducts = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+    const sortField = req.query.sort === 'revenue' ? 'revenue' : 'units';
+
+    const rows = await Booking.aggregate([
+      { $match: salesMatch(range, basis) },
+      ...lineItemStages(),
+      {
+        $group: {
+          _id: '$productId',
+          productName: { $last: '$productName' },
+          category: { $last: '$productCategory' },
+          revenue: { $sum: '$revenue' },
+          units: { $sum: '$quantity' },
+          bookingIds: { $addToSet: '$bookingId' },
+        },
+      },
+      { $sort: { [sortField]: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+
+    res.json({
+      range: describeRange(range, basis),
+      products: rows.map((r) => ({ productId: r._id, ...shapeSalesRow(r) })),
+    });
+  } catch (error) {
+    console.error('Get top-selling products error:', error);
+    res.status(500).json({ message: 'Server error while fetching top-selling products' });
+  }
+};
+
+// GET /api/analytics/products/most-cancelled — bookings cancelled in the range,
+// with each product's cancellation rate among its orders placed in the range
+export const getMostCancelledProducts = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+
+    const rows = await Booking.aggregate([
+      { $match: { status: 'cancelled', cancelledAt: { $gte: range.start, $lte: range.end } } },
+      ...lineItemStages(),
+      {
+        $group: {
+          _id: '$productId',
+          productName: { $last: '$productName' },
+          category: { $last: '$productCategory' },
+          cancelledUnits: { $sum: '$quantity' },
+          bookingIds: { $addToSet: '$bookingId' },
+        },
+      },
+      { $addFields: { cancelledOrders: { $size: '$bookingIds' } } },
+      { $sort: { cancelledOrders: -1, cancelledUnits: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { bookingIds: 0 } },
+    ]);
+
+    const productIds = rows.map((r) => r._id);
+    const placed = productIds.length
+      ? await Booking.aggregate([
+          {
+            $match: {
+              orderDate: { $gte: range.start, $lte: range.end },
+              $or: [{ productId: { $in: productIds } }, { 'items.productId': { $in: productIds } }],
+            },
+          },
+          ...lineItemStages(),
+          { $match: { productId: { $in: productIds } } },
+          { $group: { _id: '$productId', bookingIds: { $addToSet: '$bookingId' } } },
+        ])
+      : [];
+    const placedById = new Map(placed.map((p) => [String(p._id), p.bookingIds.length]));
+
+    res.json({
+      range: describeRange(range),
+      products: rows.map(({ _id, ...r }) => {
+        const placedOrders = placedById.get(String(_id)) || 0;
+        return { productId: _id, ...r, placedOrders, cancellationRate: rate(Math.min(r.cancelledOrders, placedOrders), placedOrders) };
+      }),
+    });
+  } catch (error) {
+    console.error('Get most-cancelled products error:', error);
+    res.status(500).json({ message: 'Server error while fetching cancelled products' });
+  }
+};
+
+// GET /api/analytics/funnel?groupBy=category — views → likes → bookings.
+// Views come from the daily view rollups (whole IST days in the range); likes
+// are a lifetime counter on Product, so that stage is not range-limited.
+export const getFunnel = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+    const range = rangeOf(req);
+    const basis = req.query.basis || 'booked';
+    const byCategory = req.query.groupBy === 'category';
+
+    const [interest, views, bookings] = await Promise.all([
+      Product.aggregate([
+        { $match: { isActive: true } },
+        {
+          $group: {
+            _id: byCategory ? '$category' : null,
+            products: { $sum: 1 },
+            likes: { $sum: { $ifNull: ['$likes', 0] } },
+          },
+        },
+      ]),
+      ProductViewDaily.aggregate([
+        { $match: { date: { $gte: istDateKey(range.start), $lte: istDateKey(range.end) } } },
+        {
+          $lookup: {
+            from: Product.collection.name,
+            localField: 'productId',
+            foreignField: '_id',
+            pipeline: [{ $match: { isActive: true } }, { $project: { category: 1 } }],
+            as: 'product',
+          },
+        },
+        { $unwind: '$product' },
+        { $group: { _id: byCategory ? '$product.category' : null, views: { $sum: '$views' } } },
+      ]),
+      Booking.aggregate([
+        { $match: salesMatch(range, basis) },
+        ...lineItemStages(),
+        { $group: { _id: byCategory ? '$productCategory' : null, units: { $sum: '$quantity' }, bookingIds: { $addToSet: '$bookingId' } } },
+      ]),
+    ]);
+
+    const viewsByKey = new Map(views.map((v) => [String(v._id), v.views]));
+    const bookingsByKey = new Map(bookings.map((b) => [String(b._id), b]));
+    const stages = (row) => {
+      const viewed = viewsByKey.get(String(row._id)) || 0;
+      const booked = bookingsByKey.get(String(row._id));
+      const orders = booked ? booked.bookingIds.length : 0;
+      return {
+        products: row.products,
+        views: viewed,
+        likes: row.likes,
+        orders,
+        units: booked ? booked.units : 0,
+        viewToLikeRate: rate(row.likes, viewed),
+        likeToOrderRate: rate(orders, row.likes),
+        viewToOrderRate: rate(orders, viewed),
+      };
+    };
+
+    if (!byCategory) {
+      return res.json({
+        range: describeRange(range, basis),
+        funnel: stages(interest[0] || { _id: null, products: 0, likes: 0 }),
+      });
+    }
+
+    res.json({
+      range: describeRange(range, basis),
+      categories: interest
+        .map((row) => ({ category: row._id, ...stages(row) }))
+        .sort((a, b) => b.views - a.views),
+    });
+  } catch (error) {
+    console.error('Get funnel error:', error);
+    res.status(500).json({ message: 'Server error while fetching funnel' });
+  }
+};
@@ -1,24 +1,31 @@
 // controllers/bookingsController.js
+import { once } from 'events';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
 import Booking from '../models/Booking.js';
 import Product from '../models/Product.js';
+import Invoice from '../models/Invoice.js';
+import { buildPriceSnapshot, findPriceMismatches, PricingError } from '../utils/pricing.js';
+import { reserveStock, StockError } from '../utils/stock.js';
+import { transitionBooking, BookingStatusError } from '../utils/bookingStatus.js';
+import { findPromotion, evaluatePromotion, redeemPromotion, PromotionError } from '../utils/promotions.js';
+import { issueInvoice, renderInvoicePdf } from '../utils/invoices.js';
+import { findExpiredBookings, getGraceDays } from '../utils/bookingExpiry.js';
+import { enqueueBookingNotification } from '../utils/notifications.js';
+import { emitWebhookEvent, bookingPayload } from '../utils/webhooks.js';
+import { resolveSlot, holdSlot, SlotError, istDateKey } from '../utils/pickupSlots.js';
+import { renderQrPng, renderQrSvg } from '../utils/qrCodes.js';
+import { paymentTerms, PaymentError } from '../utils/payments.js';
+import { csvLine } from '../utils/csv.js';
+import { escapeRegex } from '../utils/regex.js';
+
+const CUSTOMER_CANCELLABLE = ['pending', 'confirmed'];
+const REDEEMABLE = ['confirmed', 'ready_for_pickup'];
 
 export const createBooking = async (req, res) => {
   try {
     const {
-      productId,
-      productName,
-      productImage,
-      productCategory,
-      customerName,
-      customerPhone,
-      customerAddress,
-      quantity,
-      bookingDate,
-      actualPrice,
-      strikePrice,
-      sellingPrice,
-      totalAmount,
-      discountPercentage,
+      productId, variantId, customerName, customerPhone, customerAddress, quantity, bookingDate, slotStart, promoCode, paymentMode, advanceAmount,
     } = req.body;
 
     if (!productId || !customerName || !customerPhone || !customerAddress || !quantity || !bookingDate) {
@@ -32,53 +39,251 @@ export const createBooking = async (req, res) => {
       return res.status(400).json({ message: 'Product is not available for booking' });
     }
 
-    const booking = await Booking.create({
-      productId,
-      productName,
-      productImage,
-      productCategory,
-      userId: req.user._id,
-      customerName,
-      customerPhone,
-      customerAddress,
-      quantity,
-      bookingDate,
-      actualPrice: actualPrice || 0,
-      strikePrice: strikePrice || 0,
-      sellingPrice: sellingPrice || 0,
-      totalAmount: totalAmount || 0,
-      discountPercentage: discountPercentage || 0,
-      status: 'confirmed',
+    const slot = await resolveSlot({ bookingDate, slotStart });
+
+    // Prices and product details always come from the Product document;
+    // client-sent values are only used to detect a stale cart/page.
+    const snapshot = buildPriceSnapshot(product, quantity, variantId);
+
+    // Optional promotion, applied to the server-computed total
+    let promotion = null;
+    let promo = null;
+    if (promoCode) {
+      promotion = await findPromotion(promoCode);
+      promo = await evaluatePromotion(promotion, {
+        items: [{ productId: product._id, ...snapshot }],
+        userId: req.user._id,
+      });
+    }
+    const pricing = promo
+      ? { ...snapshot, subtotalAmount: promo.subtotal, discountAmount: promo.discountAmount, totalAmount: promo.totalAmount }
+      : snapshot;
+
+    const mismatches = findPriceMismatches(pricing, req.body);
+    if (mismatches.length) {
+      return res.status(409).json({
+        message: 'Prices have changed since the page was loaded. Please review the updated amount.',
+        mismatches,
+        pricing,
+      });
+    }
+
+    // Online bookings wait in `pending` until the advance is paid
+    const terms = paymentTerms(pricing.totalAmount, { paymentMode, advanceAmount });
+
+    // Stock is reserved and the booking written in one transaction, so a unit
+    // can never be promised to two customers.
+    let booking;
+    await mongoose.connection.transaction(async (session) => {
+      await reserveStock(product._id, snapshot.quantity, session, snapshot.variantId);
+      await holdSlot(slot, session);
+      [booking] = await Booking.create(
+        [
+          {
+            productId,
+            ...pricing,
+            ...(promotion && { promoCode: promotion.code, promotionId: promotion._id }),
+            userId: req.user._id,
+            customerName,
+            customerPhone,
+            customerAddress,
+            bookingDate: slot.startsAt,
+            pickupSlot: { date: slot.date, start: slot.start, end: slot.end, held: true },
+            ...terms.fields,
+            status: terms.status,
+            statusHistory: [{ from: null, to: terms.status, changedBy: req.user._id, reason: 'Booking placed' }],
+            stockStatus: 'reserved',
+          },
+        ],
+        { session }
+      );
+      if (promotion) {
+        await redeemPromotion(promotion, {
+          userId: req.user._id,
+          bookingId: booking._id,
+          discountAmount: pricing.discountAmount,
+          session,
+        });
+      }
+      if (terms.status === 'confirmed') await enqueueBookingNotification(booking, 'booking.confirmed', session);
+      await emitWebhookEvent('booking.created', bookingPayload(booking), session);
     });
 
     res.status(201).json({ success: true, message: 'Booking created successfully', booking });
   } catch (error) {
+    if (
+      error instanceof PricingError ||
+      error instanceof StockError ||
+      error instanceof PromotionError ||
+      error instanceof SlotError ||
+      error instanceof PaymentError
+    ) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Error creating booking:', error);
     res.status(500).json({ message: 'Failed to create booking', error: error.message });
   }
 };
 
+// Date range condition from optional from/to query values (to is inclusive of the whole day)
+const dateRange = (from, to) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+// Filter for the bookings list/export. Customers only ever see their own bookings.
+const buildBookingFilter = (q, user) => {
+  const { status, orderFrom, orderTo, bookingFrom, bookingTo, category, productId, paymentStatus, search } = q;
+  const conditions = [];
+
+  if (user.role !== 'admin') conditions.push({ userId: user._id });
+
+  if (status) {
+    const statuses = String(status).split(',').map((st) => st.trim()).filter(Boolean);
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const orderDate = dateRange(orderFrom, orderTo);
+  if (orderDate) conditions.push({ orderDate });
+  const bookingDate = dateRange(bookingFrom, bookingTo);
+  if (bookingDate) conditions.push({ bookingDate });
+
+  // Single-product bookings keep product fields at the top level, cart orders in items
+  if (category) conditions.push({ $or: [{ productCategory: category }, { 'items.productCategory': category }] });
+  if (productId) {
+    const id = new mongoose.Types.ObjectId(productId);
+    conditions.push({ $or: [{ productId: id }, { 'items.productId': id }] });
+  }
+  // Bookings from before online payments have no paymentStatus and count as unpaid
+  if (paymentStatus) {
+    conditions.push(paymentStatus === 'unpaid' ? { paymentStatus: { $in: ['unpaid', null] } } : { paymentStatus });
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    conditions.push({
+      $or: [
+        { customerName: pattern },
+        { customerPhone: pattern },
+        { couponCode: pattern },
+        { productName: pattern },
+        { 'items.productName': pattern },
+      ],
+    });
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+const SORTS = {
+  orderDate: { orderDate: -1 },
+  '-orderDate': { orderDate: -1 },
+  '+orderDate': { orderDate: 1 },
+  bookingDate: { bookingDate: 1 },
+  '-bookingDate': { bookingDate: -1 },
+  totalAmount: { totalAmount: 1 },
+  '-totalAmount': { totalAmount: -1 },
+};
+
 export const getBookings = async (req, res) => {
   try {
-    let bookings;
-    if (req.user.role === 'admin') {
-      bookings = await Booking.find()
-        .populate('productId', 'name category')
-        .populate('userId', 'name email phone')
-        .sort({ orderDate: -1 });
-    } else {
-      bookings = await Booking.find({ userId: req.user._id })
-        .populate('productId', 'name category')
-        .sort({ orderDate: -1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    res.json({ success: true, count: bookings.length, bookings });
+    const { page = 1, limit = 20, sort = '-orderDate' } = req.query;
+    const filter = buildBookingFilter(req.query, req.user);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    let listQuery = Booking.find(filter)
+      .populate('productId', 'name category')
+      .sort({ ...(SORTS[sort] || SORTS['-orderDate']), _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    if (req.user.role === 'admin') listQuery = listQuery.populate('userId', 'name email phone');
+
+    const [bookings, total] = await Promise.all([listQuery, Booking.countDocuments(filter)]);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      bookings,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
   } catch (error) {
     console.error('Error fetching bookings:', error);
     res.status(500).json({ message: 'Failed to fetch bookings', error: error.message });
   }
 };
 
+const CSV_COLUMNS = [
+  ['Coupon Code', (b) => b.couponCode],
+  ['Order Date', (b) => b.orderDate?.toISOString()],
+  ['Pickup Date', (b) => b.pickupSlot?.date || b.bookingDate?.toISOString().slice(0, 10)],
+  ['Pickup Slot', (b) => (b.pickupSlot?.start ? `${b.pickupSlot.start}-${b.pickupSlot.end}` : '')],
+  ['Status', (b) => b.status],
+  ['Customer Name', (b) => b.customerName],
+  ['Customer Phone', (b) => b.customerPhone],
+  ['Customer Address', (b) => b.customerAddress],
+  ['Items', (b) => (b.items?.length ? b.items : [b]).map((i) => `${i.productName} x${i.quantity}`).join('; ')],
+  ['Categories', (b) => [...new Set((b.items?.length ? b.items : [b]).map((i) => i.productCategory))].join('; ')],
+  ['Quantity', (b) => b.quantity],
+  ['Subtotal', (b) => b.subtotalAmount ?? b.totalAmount],
+  ['Promo Code', (b) => b.promoCode],
+  ['Discount', (b) => b.discountAmount || 0],
+  ['Total Amount', (b) => b.totalAmount],
+  ['Payment Mode', (b) => b.paymentMode || 'pay_at_pickup'],
+  ['Payment Status', (b) => b.paymentStatus || 'unpaid'],
+  ['Amount Paid', (b) => b.amountPaid || 0],
+  ['Amount Refunded', (b) => b.amountRefunded || 0],
+  ['Completed At', (b) => b.completedAt?.toISOString()],
+  ['Cancelled At', (b) => b.cancelledAt?.toISOString()],
+  ['Cancellation Reason', (b) => b.cancellationReason],
+];
+
+// GET /api/bookings/export (Admin) — streams the filtered list as CSV
+export const exportBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const filter = buildBookingFilter(req.query, req.user);
+    const cursor = Booking.find(filter).sort({ orderDate: -1, _id: -1 }).lean().cursor();
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="bookings-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    // BOM so Excel opens the file as UTF-8
+    res.write('\uFEFF' + csvLine(CSV_COLUMNS.map(([header]) => header)));
+    for await (const booking of cursor) {
+      const line = csvLine(CSV_COLUMNS.map(([, value]) => value(booking)));
+      if (!res.write(line)) await once(res, 'drain');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting bookings:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: 'Failed to export bookings', error: error.message });
+  }
+};
+
 export const getBookingById = async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
@@ -91,13 +296,22 @@ export const getBookingById = async (req, res) => {
     const isOwner = booking.userId._id.toString() === req.user._id.toString();
     if (!isAdmin && !isOwner) return res.status(403).json({ message: 'Not authorized to view this booking' });
 
-    res.json({ success: true, booking });
+    res.json({ success: true, booking, amountDue: booking.getAmountDue() });
   } catch (error) {
     console.error('Error fetching booking:', error);
     res.status(500).json({ message: 'Failed to fetch booking', error: error.message });
   }
 };
 
+// Shared error response for status changes
+const sendStatusError = (res, error, fallbackMessage) => {
+  if (error instanceof BookingStatusError) {
+    return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
 export const cancelBooking = async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
@@ -107,17 +321,19 @@ export const cancelBooking = async (req, res) => {
     const isOwner = booking.userId.toString() === req.user._id.toString();
     if (!isAdmin && !isOwner) return res.status(403).json({ message: 'Not authorized to cancel this booking' });
 
-    if (booking.status === 'cancelled') return res.status(400).json({ message: 'Booking is already cancelled' });
-    if (booking.status === 'completed') return res.status(400).json({ message: 'Cannot cancel a completed booking' });
+    // Customers may only withdraw a booking before the store starts preparing it
+    if (!isAdmin && !CUSTOMER_CANCELLABLE.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot cancel a ${booking.status.replace(/_/g, ' ')} booking` });
+    }
 
-    await booking.updateStatus('cancelled');
-    booking.cancellationReason = req.body.reason || (isAdmin ? 'Cancelled by Admin' : 'Cancelled by customer');
-    await booking.save();
+    await transitionBooking(booking, 'cancelled', {
+      changedBy: req.user._id,
+      reason: req.body.reason || (isAdmin ? 'Cancelled by Admin' : 'Cancelled by customer'),
+    });
 
     res.json({ success: true, message: 'Booking cancelled successfully', booking });
   } catch (error) {
-    console.error('Error cancelling booking:', error);
-    res.status(500).json({ message: 'Failed to cancel booking', error: error.message });
+    sendStatusError(res, error, 'Failed to cancel booking');
   }
 };
 
@@ -130,20 +346,31 @@ export const completeBooking = async (req, res) => {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    if (booking.status === 'completed') {
-      return res.status(400).json({ success: false, message: 'Booking is already marked as completed' });
-    }
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({ success: false, message: 'Cannot complete a cancelled booking' });
+    await transitionBooking(booking, 'completed', { changedBy: req.user._id, reason: req.body?.reason });
+
+    res.json({ success: true, message: 'Booking marked as completed successfully', booking });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to complete booking');
+  }
+};
+
+// PATCH /api/bookings/:id/status (Admin) — any move allowed by STATUS_TRANSITIONS
+export const updateBookingStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    await booking.updateStatus('completed');
-    await booking.save();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
 
-    res.json({ success: true, message: 'Booking marked as completed successfully', booking });
+    const { status, reason } = req.body;
+    await transitionBooking(booking, status, { changedBy: req.user._id, reason });
+
+    res.json({ success: true, message: `Booking status updated to ${status}`, booking });
   } catch (error) {
-    console.error('Error completing booking:', error);
-    res.status(500).json({ success: false, message: 'Failed to complete booking', error: error.message });
+    sendStatusError(res, error, 'Failed to update booking status');
   }
 };
 
@@ -165,3 +392,137 @@ export const getByCoupon = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to fetch booking', error: error.message });
   }
 };
+
+// GET /api/bookings/:id/invoice — GST invoice PDF (owner or admin)
+export const getBookingInvoice = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const isAdmin = req.user.role === 'admin';
+    const isOwner = booking.userId.toString() === req.user._id.toString();
+    if (!isAdmin && !isOwner) return res.status(403).json({ success: false, message: 'Not authorized to view this invoice' });
+
+    let invoice = await Invoice.findOne({ bookingId: booking._id });
+    if (!invoice) {
+      if (!booking.completedAt) {
+        return res.status(400).json({ success: false, message: 'An invoice is available once the booking is completed' });
+      }
+      // Bookings completed before invoicing existed get their invoice on first download
+      try {
+        await mongoose.connection.transaction(async (session) => {
+          invoice = await issueInvoice(booking, session);
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        invoice = await Invoice.findOne({ bookingId: booking._id });
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: 'Failed to generate invoice', error: error.message });
+  }
+};
+
+// GET /api/bookings/expiry/preview (Admin) — dry run of the expiry job
+export const previewExpiredBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const graceDays = req.query.graceDays !== undefined ? Number(req.query.graceDays) : getGraceDays();
+    const { cutoff, query } = findExpiredBookings({ graceDays });
+    const bookings = await query
+      .select('couponCode userId customerName customerPhone productName items status bookingDate totalAmount')
+      .populate('userId', 'name email phone');
+
+    res.json({ success: true, graceDays, cutoff, count: bookings.length, bookings });
+  } catch (error) {
+    console.error('Error previewing expired bookings:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview expired bookings', error: error.message });
+  }
+};
+
+// GET /api/bookings/:id/qr?format=png|svg — QR code of the coupon code (owner)
+export const getBookingQrCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('userId couponCode');
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const isAdmin = req.user.role === 'admin';
+    const isOwner = booking.userId.toString() === req.user._id.toString();
+    if (!isAdmin && !isOwner) return res.status(403).json({ success: false, message: 'Not authorized to view this booking' });
+
+    const width = Math.min(Math.max(parseInt(req.query.size) || 320, 128), 1024);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.query.format === 'svg') {
+      res.type('image/svg+xml').send(await renderQrSvg(booking, width));
+    } else {
+      res.type('image/png').send(await renderQrPng(booking, width));
+    }
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate QR code', error: error.message });
+  }
+};
+
+// POST /api/bookings/coupon/:couponCode/redeem (Admin) — verify and complete in one step
+export const redeemCoupon = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ couponCode: req.params.couponCode.toUpperCase() });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found with this coupon code' });
+
+    if (booking.redeemedAt) {
+      await booking.populate('redeemedBy', 'name email');
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon code has already been redeemed',
+        redeemedAt: booking.redeemedAt,
+        redeemedBy: booking.redeemedBy,
+      });
+    }
+
+    if (!REDEEMABLE.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot redeem a ${booking.status.replace(/_/g, ' ')} booking`,
+        status: booking.status,
+      });
+    }
+
+    // Customers may come late (until the booking expires) but not before their pickup day
+    const pickupDate = booking.pickupSlot?.date || istDateKey(booking.bookingDate);
+    const today = istDateKey(new Date());
+    if (pickupDate > today && !req.body?.allowEarly) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking is for pickup on ${pickupDate}`,
+        pickupDate,
+      });
+    }
+
+    const now = new Date();
+    await transitionBooking(booking, 'completed', {
+      changedBy: req.user._id,
+      reason: 'Redeemed in store',
+      updates: { redeemedAt: now, redeemedBy: req.user._id },
+    });
+
+    res.json({ success: true, message: 'Coupon redeemed and booking completed', booking });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to redeem coupon');
+  }
+};
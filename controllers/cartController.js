@@ -0,0 +1,328 @@
+// controllers/cartController.js
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import { buildPriceSnapshot, sumLineItems, PricingError } from '../utils/pricing.js';
+import { reserveStock, StockError } from '../utils/stock.js';
+import { findPromotion, evaluatePromotion, redeemPromotion, PromotionError } from '../utils/promotions.js';
+import { enqueueBookingNotification } from '../utils/notifications.js';
+import { emitWebhookEvent, bookingPayload } from '../utils/webhooks.js';
+import { resolveSlot, holdSlot, SlotError } from '../utils/pickupSlots.js';
+import { paymentTerms, PaymentError } from '../utils/payments.js';
+import { hasVariants, findVariant, variantLabel, lineKey } from '../utils/variants.js';
+import { primaryImageUrl } from '../utils/productImages.js';
+import { validationFailed } from '../utils/validation.js';
+
+const MAX_CART_LINES = 20;
+const PRODUCT_FIELDS = 'name images category price originalPrice discount stock availability isActive variantOptions variants';
+
+// Check a product (in the chosen variant, if it has variants) can be added to
+// the cart in the given quantity
+const checkPurchasable = (product, quantity, variantId) => {
+  if (!product || !product.isActive || product.availability !== 'Available') {
+    return { status: 400, message: 'Product is not available for booking' };
+  }
+  if (hasVariants(product)) {
+    if (!variantId) return { status: 400, message: 'Please choose a variant of this product' };
+    const variant = findVariant(product, variantId);
+    if (!variant || !variant.isActive) return { status: 400, message: 'The chosen variant is not available' };
+    if (variant.stock < quantity) {
+      return { status: 409, message: `Only ${Math.max(variant.stock, 0)} unit(s) of ${variantLabel(product, variant)} left in stock` };
+    }
+    return null;
+  }
+  if (variantId) return { status: 400, message: 'This product has no variants' };
+  if (product.stock < quantity) {
+    return { status: 409, message: `Only ${Math.max(product.stock, 0)} unit(s) left in stock` };
+  }
+  return null;
+};
+
+// The cart line for a product + variant (variantId from the body or ?variantId=)
+const findLine = (cart, productId, variantId) =>
+  cart?.items.find((i) => lineKey(i) === lineKey({ productId, variantId }));
+
+// Take the ordered lines out of the cart. Lines added (or topped up) while the
+// checkout ran were not ordered and stay, less what was ordered of them.
+const removeOrderedLines = async (cartId, lines, session) => {
+  for (const line of lines) {
+    const match = { productId: line.productId, variantId: line.variantId || null };
+    await Cart.updateOne({ _id: cartId }, { $pull: { items: { ...match, quantity: line.quantity } } }, { session });
+    await Cart.updateOne(
+      { _id: cartId },
+      { $inc: { 'items.$[line].quantity': -line.quantity } },
+      {
+        arrayFilters: [{ 'line.productId': match.productId, 'line.variantId': match.variantId, 'line.quantity': { $gt: line.quantity } }],
+        session,
+      }
+    );
+  }
+};
+
+// Cart lines joined with live product data and current prices
+const describeCart = async (cart) => {
+  const lines = cart?.items || [];
+  const products = await Product.find({ _id: { $in: lines.map((i) => i.productId) } }).select(PRODUCT_FIELDS);
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = lines.map((line) => {
+    const product = byId.get(line.productId.toString());
+    let pricing = null;
+    let issue = checkPurchasable(product, line.quantity, line.variantId)?.message || null;
+    const variant = findVariant(product, line.variantId);
+
+    if (product) {
+      try {
+        pricing = buildPriceSnapshot(product, line.quantity, line.variantId);
+      } catch (error) {
+        issue = issue || error.message;
+      }
+    }
+
+    return {
+      productId: line.productId,
+      variantId: line.variantId,
+      quantity: line.quantity,
+      addedAt: line.addedAt,
+      product: product
+        ? {
+            name: product.name,
+            image: primaryImageUrl(variant) || primaryImageUrl(product),
+            category: product.category,
+            stock: variant ? variant.stock : product.stock,
+            availability: product.availability,
+            ...(variant && { variant: { label: variantLabel(product, variant), sku: variant.sku } }),
+          }
+        : null,
+      pricing,
+      available: !issue,
+      issue,
+    };
+  });
+
+  return {
+    items,
+    itemCount: items.reduce((sum, i) => sum + i.quantity, 0),
+    subtotal: sumLineItems(items.filter((i) => i.pricing).map((i) => i.pricing)),
+    canCheckout: items.length > 0 && items.every((i) => i.available),
+    updatedAt: cart?.updatedAt || null,
+  };
+};
+
+// GET /api/cart
+export const getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user._id });
+    res.json({ success: true, cart: await describeCart(cart) });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cart', error: error.message });
+  }
+};
+
+// POST /api/cart/items — add a product (in a variant, for products that have
+// them), or increase its quantity if already in the cart
+export const addToCart = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const cart = (await Cart.findOne({ userId: req.user._id })) || new Cart({ userId: req.user._id, items: [] });
+    const existing = findLine(cart, productId, variantId);
+    const newQuantity = (existing?.quantity || 0) + quantity;
+
+    const problem = checkPurchasable(product, newQuantity, variantId);
+    if (problem) return res.status(problem.status).json({ success: false, message: problem.message });
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      if (cart.items.length >= MAX_CART_LINES) {
+        return res.status(400).json({ success: false, message: `A cart can hold at most ${MAX_CART_LINES} different products` });
+      }
+      cart.items.push({ productId, variantId, quantity });
+    }
+    await cart.save();
+
+    res.status(existing ? 200 : 201).json({ success: true, message: 'Cart updated', cart: await describeCart(cart) });
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    res.status(500).json({ success: false, message: 'Failed to add to cart', error: error.message });
+  }
+};
+
+// PATCH /api/cart/items/:productId?variantId= — set the quantity of a cart line
+export const updateCartItem = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const quantity = parseInt(req.body.quantity);
+    const cart = await Cart.findOne({ userId: req.user._id });
+    const line = findLine(cart, req.params.productId, req.query.variantId);
+    if (!line) return res.status(404).json({ success: false, message: 'Product is not in your cart' });
+
+    const product = await Product.findById(line.productId).select(PRODUCT_FIELDS);
+    const problem = checkPurchasable(product, quantity, line.variantId);
+    if (problem) return res.status(problem.status).json({ success: false, message: problem.message });
+
+    line.quantity = quantity;
+    await cart.save();
+
+    res.json({ success: true, message: 'Cart updated', cart: await describeCart(cart) });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({ success: false, message: 'Failed to update cart', error: error.message });
+  }
+};
+
+// DELETE /api/cart/items/:productId?variantId=
+export const removeCartItem = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user._id },
+      { $pull: { items: { productId: req.params.productId, variantId: req.query.variantId || null } } },
+      { new: true }
+    );
+
+    res.json({ success: true, message: 'Item removed from cart', cart: await describeCart(cart) });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove item from cart', error: error.message });
+  }
+};
+
+// DELETE /api/cart
+export const clearCart = async (req, res) => {
+  try {
+    await Cart.updateOne({ userId: req.user._id }, { $set: { items: [] } });
+    res.json({ success: true, message: 'Cart cleared', cart: await describeCart(null) });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear cart', error: error.message });
+  }
+};
+
+// POST /api/cart/checkout — turn the cart into one booking with line items
+export const checkout = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const {
+      customerName, customerPhone, customerAddress, bookingDate, slotStart, totalAmount, promoCode, paymentMode, advanceAmount,
+    } = req.body;
+
+    const cart = await Cart.findOne({ userId: req.user._id });
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({ success: false, message: 'Your cart is empty' });
+    }
+
+    const slot = await resolveSlot({ bookingDate, slotStart });
+
+    const products = await Product.find({ _id: { $in: cart.items.map((i) => i.productId) } });
+    const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+    const items = [];
+    for (const line of cart.items) {
+      const product = byId.get(line.productId.toString());
+      if (!product || !product.isActive || product.availability !== 'Available') {
+        return res.status(400).json({
+          success: false,
+          message: `${product?.name || 'A product in your cart'} is no longer available`,
+          productId: line.productId,
+        });
+      }
+      items.push({ productId: product._id, ...buildPriceSnapshot(product, line.quantity, line.variantId) });
+    }
+
+    const subtotal = sumLineItems(items);
+
+    let promotion = null;
+    let promo = null;
+    if (promoCode) {
+      promotion = await findPromotion(promoCode);
+      promo = await evaluatePromotion(promotion, { items, userId: req.user._id });
+    }
+    const orderTotal = promo ? promo.totalAmount : subtotal;
+    if (totalAmount !== undefined && totalAmount !== '' && Math.abs(Number(totalAmount) - orderTotal) > 0.01) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed since the cart was loaded. Please review the updated amount.',
+        mismatches: [{ field: 'totalAmount', sent: totalAmount, expected: orderTotal }],
+        items,
+        subtotal,
+        discountAmount: promo?.discountAmount || 0,
+        totalAmount: orderTotal,
+      });
+    }
+
+    const terms = paymentTerms(orderTotal, { paymentMode, advanceAmount });
+
+    // Reserve every line and the pickup slot, create the order and take the ordered lines out of the cart atomically
+    let booking;
+    await mongoose.connection.transaction(async (session) => {
+      for (const item of items) {
+        await reserveStock(item.productId, item.quantity, session, item.variantId);
+      }
+      await holdSlot(slot, session);
+      [booking] = await Booking.create(
+        [
+          {
+            items,
+            userId: req.user._id,
+            customerName,
+            customerPhone,
+            customerAddress,
+            quantity: items.reduce((sum, i) => sum + i.quantity, 0),
+            totalAmount: orderTotal,
+            bookingDate: slot.startsAt,
+            pickupSlot: { date: slot.date, start: slot.start, end: slot.end, held: true },
+            ...(promo && {
+              promoCode: promotion.code,
+              promotionId: promotion._id,
+              subtotalAmount: subtotal,
+              discountAmount: promo.discountAmount,
+            }),
+            ...terms.fields,
+            status: terms.status,
+            statusHistory: [{ from: null, to: terms.status, changedBy: req.user._id, reason: 'Order placed from cart' }],
+            stockStatus: 'reserved',
+          },
+        ],
+        { session }
+      );
+      if (promotion) {
+        await redeemPromotion(promotion, {
+          userId: req.user._id,
+          bookingId: booking._id,
+          discountAmount: promo.discountAmount,
+          session,
+        });
+      }
+      await removeOrderedLines(cart._id, cart.items, session);
+      if (terms.status === 'confirmed') await enqueueBookingNotification(booking, 'booking.confirmed', session);
+      await emitWebhookEvent('booking.created', bookingPayload(booking), session);
+    });
+
+    res.status(201).json({ success: true, message: 'Order placed successfully', booking });
+  } catch (error) {
+    if (
+      error instanceof PricingError ||
+      error instanceof StockError ||
+      error instanceof PromotionError ||
+      error instanceof SlotError ||
+      error instanceof PaymentError
+    ) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error checking out cart:', error);
+    res.status(500).json({ success: false, message: 'Failed to place order', error: error.message });
+  }
+};
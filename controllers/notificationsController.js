@@ -0,0 +1,77 @@
+// controllers/notificationsController.js
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Notification from '../models/Notification.js';
+import { requeueNotification } from '../utils/notificationWorker.js';
+
+const listNotifications = async (req, res, filter, select) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter).select(select).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+    Notification.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  res.json({
+    notifications,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalItems: total,
+      hasNextPage: parseInt(page) < totalPages,
+      hasPrevPage: parseInt(page) > 1,
+    },
+  });
+};
+
+// GET /api/users/me/notifications — the signed-in user's notification history
+export const getMyNotifications = async (req, res) => {
+  try {
+    await listNotifications(
+      req,
+      res,
+      { userId: req.user._id },
+      'bookingId event channel recipient subject body status sentAt createdAt'
+    );
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications' });
+  }
+};
+
+// GET /api/notifications (Admin) — outbox, filter by status/channel/event
+export const getOutbox = async (req, res) => {
+  try {
+    const { status, channel, event, bookingId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (event) filter.event = event;
+    if (bookingId) filter.bookingId = bookingId;
+
+    await listNotifications(req, res, filter);
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications' });
+  }
+};
+
+// POST /api/notifications/:id/retry (Admin) — requeue a dead-lettered message
+export const retryNotification = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid notification ID' });
+
+    const notification = await requeueNotification(req.params.id);
+    if (!notification) return res.status(404).json({ message: 'Notification not found or already delivered' });
+
+    res.json({ message: 'Notification queued for delivery', notification });
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({ message: 'Failed to retry notification' });
+  }
+};
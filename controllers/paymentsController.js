@@ -0,0 +1,226 @@
+// controllers/paymentsController.js
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import { getGateway } from '../utils/paymentGateways.js';
+import {
+  createPaymentOrder,
+  capturePayment,
+  failPayment,
+  refundPayment,
+  handleGatewayEvent,
+  PaymentError,
+} from '../utils/payments.js';
+import { validationFailed } from '../utils/validation.js';
+
+const sendPaymentError = (res, error, fallbackMessage) => {
+  if (error instanceof PaymentError) {
+    return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+const canAccess = (user, ownerId) => user.role === 'admin' || String(ownerId) === String(user._id);
+
+// Payment for a gateway order id, if the signed-in user may act on it
+const loadPaymentByOrder = async (req, res) => {
+  const payment = await Payment.findOne({ gatewayOrderId: req.body.orderId });
+  if (!payment || !canAccess(req.user, payment.userId)) {
+    res.status(404).json({ success: false, message: 'Payment not found' });
+    return null;
+  }
+  return payment;
+};
+
+// POST /api/payments/orders — open a gateway order for what is due on a booking
+export const createOrder = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const booking = await Booking.findById(req.body.bookingId);
+    if (!booking || !canAccess(req.user, booking.userId)) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const { payment, checkout } = await createPaymentOrder(booking);
+    res.status(201).json({ success: true, message: 'Payment order created', payment, checkout, paymentDueBy: booking.paymentDueBy });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to create payment order');
+  }
+};
+
+// POST /api/payments/verify — checkout callback with the gateway's signature
+export const verifyPayment = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const payment = await loadPaymentByOrder(req, res);
+    if (!payment) return;
+
+    const { orderId, paymentId, signature } = req.body;
+    const gateway = getGateway(payment.gateway);
+    if (!gateway || !gateway.verifyPayment({ orderId, paymentId, signature })) {
+      return res.status(400).json({ success: false, message: 'Payment could not be verified' });
+    }
+
+    const captured = await capturePayment(payment, { gatewayPaymentId: paymentId, source: 'client' });
+    const booking = await Booking.findById(payment.bookingId);
+
+    res.json({
+      success: true,
+      message: captured.status === 'captured' ? 'Payment successful' : `Payment is ${captured.status}`,
+      payment: captured,
+      booking,
+      amountDue: booking.getAmountDue(),
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ success: false, message: 'Booking was updated at the same time. Please check its status.' });
+    }
+    sendPaymentError(res, error, 'Failed to verify payment');
+  }
+};
+
+// POST /api/payments/failure — checkout reported a failed or abandoned attempt
+export const reportPaymentFailure = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const payment = await loadPaymentByOrder(req, res);
+    if (!payment) return;
+
+    const failed = await failPayment(payment, {
+      gatewayPaymentId: req.body.paymentId,
+      reason: req.body.reason || 'Payment was not completed',
+      source: 'client',
+    });
+    res.json({ success: true, message: 'Payment attempt recorded', payment: failed });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to record payment failure');
+  }
+};
+
+// POST /api/payments/webhook/:gateway — server-to-server events, signed by the gateway.
+// Anything but a 2xx makes the gateway retry, so only unexpected errors return 500.
+export const gatewayWebhook = async (req, res) => {
+  try {
+    const gateway = getGateway(req.params.gateway);
+    if (!gateway) return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!gateway.verifyWebhook(rawBody, req.get(gateway.signatureHeader))) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const event = gateway.parseWebhook(req.body);
+    if (!event) return res.json({ success: true, message: 'Event ignored' });
+
+    await handleGatewayEvent(gateway.name, event);
+    res.json({ success: true, message: 'Event processed' });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.json({ success: true, message: `Event ignored: ${error.message}` });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ success: false, message: 'Failed to process payment webhook' });
+  }
+};
+
+// POST /api/payments/mock/checkout — plays the customer's side of checkout for
+// mock-gateway orders (outside production). A successful run returns the
+// paymentId/signature to pass to /verify, exactly like the real widget.
+export const mockCheckout = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    const payment = await loadPaymentByOrder(req, res);
+    if (!payment) return;
+    if (payment.gateway !== 'mock') {
+      return res.status(400).json({ success: false, message: 'Only mock gateway orders can be simulated' });
+    }
+    const mock = getGateway('mock');
+    if (!mock) {
+      return res.status(503).json({ success: false, message: 'The mock gateway needs MOCK_PAYMENT_SECRET' });
+    }
+
+    if (req.body.outcome === 'failure') {
+      const failed = await failPayment(payment, { reason: 'Simulated failure', source: 'client' });
+      return res.json({ success: true, message: 'Payment failure simulated', payment: failed });
+    }
+
+    res.json({ success: true, message: 'Payment simulated', ...mock.simulatePayment(payment.gatewayOrderId) });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to simulate payment');
+  }
+};
+
+// GET /api/payments/booking/:bookingId — payments of one booking (owner or admin)
+export const getBookingPayments = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const booking = await Booking.findById(req.params.bookingId).select('userId paymentMode paymentStatus advanceAmount amountPaid amountRefunded paymentDueBy totalAmount status');
+    if (!booking || !canAccess(req.user, booking.userId)) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const payments = await Payment.find({ bookingId: booking._id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, booking, amountDue: booking.getAmountDue(), payments });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to fetch payments');
+  }
+};
+
+// GET /api/payments (Admin) — filter by status, gateway or booking
+export const listPayments = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { page = 1, limit = 20, status, gateway, bookingId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (gateway) filter.gateway = gateway;
+    if (bookingId) filter.bookingId = bookingId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [payments, total] = await Promise.all([
+      Payment.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+      Payment.countDocuments(filter),
+    ]);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      payments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to fetch payments');
+  }
+};
+
+// POST /api/payments/:id/refund (Admin) — full refund unless `amount` is given
+export const refundPaymentById = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    const refunded = await refundPayment(payment, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      refundedBy: req.user._id,
+    });
+    res.json({ success: true, message: 'Refund processed', payment: refunded });
+  } catch (error) {
+    sendPaymentError(res, error, 'Failed to refund payment');
+  }
+};
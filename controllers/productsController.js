@@ -1,51 +1,204 @@
 // controllers/productsController.js
+import { once } from 'events';
+import { validationResult } from 'express-validator';
 import Product from '../models/Product.js';
+import ProductLike from '../models/ProductLike.js';
+import ProductChange from '../models/ProductChange.js';
 import { deleteImage } from '../config/cloudinary.js';
+import { setLike, likedProductIds } from '../utils/likes.js';
+import { suggestProducts } from '../utils/productSuggest.js';
+import { recordView, productViewSeries, trendingProducts } from '../utils/productViews.js';
+import { resolveRange, bucketLabels } from '../utils/analytics.js';
+import { saveWithHistory, priceHistory } from '../utils/productHistory.js';
+import { findVariant } from '../utils/variants.js';
+import { imageFromUpload, toImage } from '../utils/productImages.js';
+import { escapeRegex } from '../utils/regex.js';
+import {
+  ImportError,
+  rowsFromCsv,
+  rowsFromJson,
+  planImport,
+  applyImport,
+  summarize,
+  csvHeader,
+  productToCsvLine,
+  productToRecord,
+} from '../utils/productImport.js';
 import mongoose from 'mongoose';
 
-// Build filter helper
-const buildFilter = (q) => {
+// Comma-separated (or repeated) query values
+const listParam = (value, lowercase = false) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => (lowercase ? String(v).trim().toLowerCase() : String(v).trim()))
+    .filter(Boolean);
+
+// Query params that are also facets, with the product field each one filters
+const FACET_FIELDS = {
+  category: 'category',
+  condition: 'condition',
+  type: 'type',
+  availability: 'availability',
+  brand: 'specifications.brand',
+  tags: 'tags',
+};
+
+// Filter split into the part every facet shares and one condition per facet,
+// so facet counts can leave out their own selection
+const buildFilterParts = (q) => {
   const {
-    category,
-    condition,
-    type,
-    availability,
     minPrice,
     maxPrice,
+    minRating,
     search,
     isActive,
-    tags,
   } = q;
 
-  const filter = {};
+  const base = {};
 
   if (typeof isActive !== 'undefined') {
-    filter.isActive = isActive === 'true' || isActive === true;
+    base.isActive = isActive === 'true' || isActive === true;
   } else {
-    filter.isActive = true;
+    base.isActive = true;
   }
 
-  if (category) filter.category = category;
-  if (condition) filter.condition = condition;
-  if (type) filter.type = type;
-  if (availability) filter.availability = availability;
+  if (minRating) base.ratingAverage = { $gte: Number(minRating) };
 
-  if (minPrice || maxPrice) {
-    filter.price = {};
-    if (minPrice) filter.price.$gte = Number(minPrice);
-    if (maxPrice) filter.price.$lte = Number(maxPrice);
+  if (search) {
+    base.$text = { $search: search };
   }
 
-  if (search) {
-    filter.$text = { $search: search };
+  const facets = {};
+  for (const [param, field] of Object.entries(FACET_FIELDS)) {
+    if (!q[param]) continue;
+    const values = listParam(q[param], param === 'tags');
+    facets[param] = { [field]: values.length === 1 ? values[0] : { $in: values } };
   }
 
-  if (tags) {
-    const arr = Array.isArray(tags) ? tags : String(tags).split(',').map(s => s.trim().toLowerCase());
-    filter.tags = { $in: arr };
+  // Products with variants match when any active variant is in the range
+  if (minPrice || maxPrice) {
+    const range = {};
+    if (minPrice) range.$gte = Number(minPrice);
+    if (maxPrice) range.$lte = Number(maxPrice);
+    facets.price = {
+      $or: [
+        { 'variants.0': { $exists: false }, price: range },
+        { variants: { $elemMatch: { isActive: true, price: range } } },
+      ],
+    };
   }
 
-  return filter;
+  return { base, facets };
+};
+
+// Build filter helper
+const buildFilter = (q) => {
+  const { base, facets } = buildFilterParts(q);
+  return Object.assign({}, base, ...Object.values(facets));
+};
+
+const DEFAULT_PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000];
+const MAX_FACET_VALUES = 30;
+
+// Ascending bucket boundaries from ?priceBuckets= or PRODUCT_PRICE_BUCKETS
+const priceBoundaries = (value = process.env.PRODUCT_PRICE_BUCKETS) => {
+  const bounds = value ? listParam(value).map(Number).filter((n) => Number.isFinite(n) && n >= 0) : [];
+  const unique = [...new Set(bounds)].sort((a, b) => a - b);
+  if (!unique.length) return DEFAULT_PRICE_BUCKETS;
+  return unique[0] === 0 ? unique : [0, ...unique];
+};
+
+// Bucket index of $price; -1 for products without a price
+const priceBucketExpr = (bounds) => ({
+  $switch: {
+    branches: bounds.map((min, i) => ({
+      case: i < bounds.length - 1
+        ? { $and: [{ $gte: ['$price', min] }, { $lt: ['$price', bounds[i + 1]] }] }
+        : { $gte: ['$price', min] },
+      then: i,
+    })),
+    default: -1,
+  },
+});
+
+const rupees = (n) => `₹${n.toLocaleString('en-IN')}`;
+
+// Count per value of every facet in one aggregation. Each facet applies all
+// active filters except its own, so selected values keep their counts and the
+// other options show what selecting them would add.
+const computeFacets = async (q) => {
+  const { base, facets } = buildFilterParts(q);
+  const bounds = priceBoundaries(q.priceBuckets);
+  const othersThan = (name) => {
+    const conditions = Object.entries(facets).filter(([key]) => key !== name).map(([, c]) => c);
+    return conditions.length ? [{ $match: { $and: conditions } }] : [];
+  };
+  const countBy = (name, field, unwind) => [
+    ...othersThan(name),
+    ...(unwind ? [{ $unwind: `$${field}` }] : []),
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_FACET_VALUES },
+  ];
+
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        ...Object.fromEntries(
+          Object.entries(FACET_FIELDS).map(([name, field]) => [name, countBy(name, field, name === 'tags')])
+        ),
+        price: [
+          ...othersThan('price'),
+          { $group: { _id: priceBucketExpr(bounds), count: { $sum: 1 } } },
+        ],
+        total: [...othersThan(null), { $count: 'count' }],
+      },
+    },
+  ]);
+
+  // Fixed-choice facets list every option, including the empty ones
+  const shape = (name) => {
+    const counts = new Map(result[name].map((r) => [r._id, r.count]));
+    const enumValues = Product.schema.path(FACET_FIELDS[name])?.enumValues || [];
+    const values = enumValues.length ? enumValues : [...counts.keys()];
+    return values.map((value) => ({ value, count: counts.get(value) || 0 }));
+  };
+
+  const priceCounts = new Map(result.price.map((r) => [r._id, r.count]));
+  const price = bounds.map((min, i) => {
+    const max = i < bounds.length - 1 ? bounds[i + 1] : null;
+    return {
+      min,
+      max,
+      label: max === null ? `${rupees(min)}+` : `${rupees(min)} – ${rupees(max)}`,
+      count: priceCounts.get(i) || 0,
+    };
+  });
+  if (priceCounts.get(-1)) price.push({ min: null, max: null, label: 'Contact for price', count: priceCounts.get(-1) });
+
+  return {
+    total: result.total[0]?.count || 0,
+    ...Object.fromEntries(Object.keys(FACET_FIELDS).map((name) => [name, shape(name)])),
+    price,
+  };
+};
+
+// Multipart forms send arrays/objects as JSON strings
+const parseJsonField = (value) => (typeof value === 'string' && value.trim() ? JSON.parse(value) : value || undefined);
+
+// Variant images may be given as plain URLs
+const parseVariants = (value) => {
+  const variants = parseJsonField(value);
+  if (!Array.isArray(variants)) return variants;
+  return variants.map((v) => (Array.isArray(v?.images) ? { ...v, images: v.images.map(toImage) } : v));
+};
+
+// Adds likedByMe to each product when the request is signed in (optionalAuth)
+const withLikedByMe = async (user, products) => {
+  if (!user) return products;
+  const liked = await likedProductIds(user._id, products.map((p) => p._id));
+  return products.map((p) => ({ ...p.toObject(), likedByMe: liked.has(String(p._id)) }));
 };
 
 // GET /api/products
@@ -63,13 +216,15 @@ export const listProducts = async (req, res) => {
     const select = fields ? fields.split(',').join(' ') : undefined;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const [items, total] = await Promise.all([
+    const [items, total, facets] = await Promise.all([
       Product.find(filter).select(select).sort(sort).skip(skip).limit(parseInt(limit)),
       Product.countDocuments(filter),
+      req.query.facets === true ? computeFacets(req.query) : undefined,
     ]);
 
     return res.json({
-      products: items,
+      products: await withLikedByMe(req.user, items),
+      ...(facets && { facets }),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / parseInt(limit)),
@@ -84,6 +239,104 @@ export const listProducts = async (req, res) => {
   }
 };
 
+// GET /api/products/facets — facet counts for the same query params as the listing
+export const getProductFacets = async (req, res) => {
+  try {
+    return res.json({ facets: await computeFacets(req.query) });
+  } catch (err) {
+    console.error('Product facets error:', err);
+    return res.status(500).json({ message: 'Failed to fetch product facets' });
+  }
+};
+
+// GET /api/products/suggest?q= — typo-tolerant autocomplete
+export const suggest = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.json({ query: q, suggestions: [] });
+
+    const suggestions = await suggestProducts(q, { limit: parseInt(req.query.limit) || 8 });
+    return res.json({ query: q, suggestions });
+  } catch (err) {
+    console.error('Suggest products error:', err);
+    return res.status(500).json({ message: 'Failed to fetch suggestions' });
+  }
+};
+
+// POST /api/products/import (Admin) — CSV or JSON sheet in 'file', optional zip
+// of images in 'images'. Every row is validated first; ?dryRun=true stops there,
+// and an invalid row stops the whole import before anything is written.
+export const importProducts = async (req, res) => {
+  try {
+    const sheet = req.files?.file?.[0];
+    if (!sheet) return res.status(400).json({ message: 'Upload the CSV or JSON sheet in the "file" field' });
+
+    const isJson = req.query.format
+      ? req.query.format === 'json'
+      : /\.json$/i.test(sheet.originalname) || /json/.test(sheet.mimetype);
+    const text = sheet.buffer.toString('utf8');
+    const rows = isJson ? rowsFromJson(text) : rowsFromCsv(text);
+
+    const planned = await planImport(rows, { zip: req.files?.images?.[0]?.buffer });
+    const dryRun = req.query.dryRun === true;
+    const invalid = planned.plan.some((entry) => entry.errors.length);
+
+    if (dryRun || invalid) {
+      return res.status(invalid && !dryRun ? 422 : 200).json({
+        message: invalid ? 'Some rows are invalid; nothing was imported' : 'Dry run passed; nothing was imported',
+        dryRun,
+        summary: summarize(planned.plan),
+        rows: planned.plan,
+      });
+    }
+
+    await applyImport(planned, { userId: req.user._id });
+    const summary = summarize(planned.plan);
+    return res.json({
+      message: summary.failed ? 'Import finished with some failed rows' : 'Import complete',
+      dryRun,
+      summary,
+      rows: planned.plan,
+    });
+  } catch (err) {
+    if (err instanceof ImportError) return res.status(err.status).json({ message: err.message, ...err.details });
+    console.error('Import products error:', err);
+    return res.status(500).json({ message: 'Failed to import products' });
+  }
+};
+
+// GET /api/products/export?format=csv|json (Admin) — products matching the
+// listing filters, in the import sheet format
+export const exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const cursor = Product.find(buildFilter(req.query)).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+
+    res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    // BOM so Excel opens the file as UTF-8
+    await write(format === 'csv' ? '\uFEFF' + csvHeader() : '[');
+    let first = true;
+    for await (const product of cursor) {
+      await write(format === 'csv'
+        ? productToCsvLine(product)
+        : `${first ? '' : ','}\n${JSON.stringify(productToRecord(product))}`);
+      first = false;
+    }
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (err) {
+    console.error('Export products error:', err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ message: 'Failed to export products' });
+  }
+};
+
 // GET /api/products/:id
 export const getProduct = async (req, res) => {
   try {
@@ -93,7 +346,8 @@ export const getProduct = async (req, res) => {
     const doc = await Product.findById(id);
     if (!doc) return res.status(404).json({ message: 'Product not found' });
 
-    return res.json({ product: doc });
+    const [product] = await withLikedByMe(req.user, [doc]);
+    return res.json({ product });
   } catch (err) {
     console.error('Get product error:', err);
     return res.status(500).json({ message: 'Failed to fetch product' });
@@ -118,6 +372,9 @@ export const createProduct = async (req, res) => {
       stock,
       specifications = {},
       tags = [],
+      sku,
+      variantOptions,
+      variants,
     } = req.body;
 
     // Cloudinary multer puts files in req.files
@@ -126,10 +383,9 @@ export const createProduct = async (req, res) => {
       return res.status(400).json({ message: 'At least one image is required' });
     }
 
-    const images = files.map((f) => f.path || f.secure_url).filter(Boolean);
-    const imagePublicIds = files.map((f) => f.filename || f.public_id).filter(Boolean);
+    const images = files.map(imageFromUpload).filter((image) => image.url);
 
-    const product = await Product.create({
+    const product = new Product({
       name,
       description,
       category,
@@ -138,18 +394,26 @@ export const createProduct = async (req, res) => {
       availability: availability || 'Available',
       features: Array.isArray(features) ? features : String(features).split(',').map(s => s.trim()).filter(Boolean),
       images,
-      imagePublicIds,
       price,
       originalPrice,
       discount,
       stock,
       specifications: typeof specifications === 'string' ? JSON.parse(specifications) : specifications,
       tags: Array.isArray(tags) ? tags : String(tags).split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+      sku: sku || undefined,
+      variantOptions: parseJsonField(variantOptions),
+      variants: parseVariants(variants),
       createdBy: req.user._id,
     });
+    await saveWithHistory(product, { changedBy: req.user._id });
 
     return res.status(201).json({ message: 'Product created successfully', product });
   } catch (err) {
+    if (err instanceof SyntaxError) return res.status(400).json({ message: `Invalid JSON: ${err.message}` });
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: Object.values(err.errors).map((e) => e.message) });
+    }
+    if (err.code === 11000) return res.status(409).json({ message: 'A product with this SKU already exists' });
     console.error('Create product error:', err);
     return res.status(500).json({ message: 'Failed to create product' });
   }
@@ -177,42 +441,67 @@ export const updateProduct = async (req, res) => {
     if (typeof body.specifications === 'string') {
       try { body.specifications = JSON.parse(body.specifications); } catch { /* ignore */ }
     }
+    body.variantOptions = parseJsonField(body.variantOptions);
+    body.variants = parseVariants(body.variants);
 
-    // Handle image removals
-    let removePublicIds = [];
-    if (body.removePublicIds) {
-      removePublicIds = Array.isArray(body.removePublicIds) ? body.removePublicIds : String(body.removePublicIds).split(',').map(s => s.trim());
-      // Remove from Cloudinary + model arrays
-      for (const pid of removePublicIds) {
-        try { await deleteImage(pid); } catch (e) { /* ignore delete failures */ }
+    if (body.variants !== undefined && !Array.isArray(body.variants)) {
+      return res.status(400).json({ message: 'variants must be an array' });
+    }
+
+    // Bookings point at variants, so existing ones can only be deactivated
+    if (body.variants) {
+      const kept = new Set(body.variants.map((v) => String(v?._id)));
+      const dropped = product.variants.filter((v) => !kept.has(String(v._id)));
+      if (dropped.length) {
+        return res.status(400).json({
+          message: 'Variants cannot be removed; set isActive to false instead',
+          variantIds: dropped.map((v) => v._id),
+        });
       }
-      product.imagePublicIds = product.imagePublicIds.filter((pid) => !removePublicIds.includes(pid));
-      // Also remove matching image URLs if present (by index mapping heuristic)
-      // (publicIds from CloudinaryStorage usually align with file names; keep URLs as-is otherwise)
     }
 
-    // Handle new uploads
+    // Handle image removals (by Cloudinary public ID or image _id)
+    let removed = [];
+    if (body.removePublicIds) {
+      const removeIds = Array.isArray(body.removePublicIds) ? body.removePublicIds : String(body.removePublicIds).split(',').map(s => s.trim());
+      removed = product.images.filter((image) => removeIds.includes(image.publicId) || removeIds.includes(String(image._id)));
+      product.images = product.images.filter((image) => !removed.includes(image));
+    }
+
+    // Handle new uploads (added after the existing images)
     const files = req.files || [];
-    if (files.length) {
-      const newUrls = files.map((f) => f.path || f.secure_url).filter(Boolean);
-      const newIds = files.map((f) => f.filename || f.public_id).filter(Boolean);
-      product.images.push(...newUrls);
-      product.imagePublicIds.push(...newIds);
+    product.images.push(...files.map(imageFromUpload).filter((image) => image.url));
+    if (!product.images.length) {
+      return res.status(400).json({ message: 'A product must keep at least one image' });
     }
 
     // Assign other fields
     const mutable = [
       'name','description','category','condition','type','availability','features',
-      'price','originalPrice','discount','stock','specifications','tags','isActive'
+      'price','originalPrice','discount','stock','specifications','tags','isActive',
+      'variantOptions','variants'
     ];
     for (const key of mutable) {
       if (typeof body[key] !== 'undefined') product[key] = body[key];
     }
+    // An empty SKU clears it
+    if (typeof body.sku !== 'undefined') product.sku = body.sku || undefined;
+
+    await saveWithHistory(product, { changedBy: req.user._id });
 
-    await product.save();
+    // Only delete files once the product no longer points at them
+    for (const image of removed) {
+      if (!image.publicId) continue;
+      try { await deleteImage(image.publicId); } catch (e) { /* ignore delete failures */ }
+    }
 
     return res.json({ message: 'Product updated successfully', product });
   } catch (err) {
+    if (err instanceof SyntaxError) return res.status(400).json({ message: `Invalid JSON: ${err.message}` });
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: Object.values(err.errors).map((e) => e.message) });
+    }
+    if (err.code === 11000) return res.status(409).json({ message: 'A product with this SKU already exists' });
     console.error('Update product error:', err);
     return res.status(500).json({ message: 'Failed to update product' });
   }
@@ -229,7 +518,7 @@ export const deleteProduct = async (req, res) => {
 
     product.isActive = false;
     product.availability = 'Discontinued';
-    await product.save();
+    await saveWithHistory(product, { changedBy: req.user._id });
 
     return res.json({ message: 'Product deleted successfully' });
   } catch (err) {
@@ -238,36 +527,328 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
-// PATCH /api/products/:id/view — increment views (public)
+// Product for the /:id/images routes (Admin); sends the 400/404 itself
+const findProductForImages = async (req, res) => {
+  const { id, imageId } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ message: 'Invalid product ID' });
+    return null;
+  }
+  const product = await Product.findById(id);
+  if (!product) {
+    res.status(404).json({ message: 'Product not found' });
+    return null;
+  }
+  if (imageId && !product.images.id(imageId)) {
+    res.status(404).json({ message: 'Image not found' });
+    return null;
+  }
+  return product;
+};
+
+// PUT /api/products/:id/images/order  (Admin) — { imageIds } lists every image
+// of the product once, primary first
+export const reorderProductImages = async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    const imageIds = Array.isArray(req.body.imageIds) ? req.body.imageIds.map(String) : [];
+    const current = product.images.map((image) => String(image._id));
+    if (imageIds.length !== current.length || new Set(imageIds).size !== imageIds.length || !current.every((id) => imageIds.includes(id))) {
+      return res.status(400).json({ message: 'imageIds must list every image of the product exactly once', imageIds: current });
+    }
+
+    imageIds.forEach((imageId, i) => {
+      product.images.id(imageId).sortOrder = i;
+    });
+    await saveWithHistory(product, { changedBy: req.user._id });
+
+    return res.json({ message: 'Images reordered', images: product.images });
+  } catch (err) {
+    console.error('Reorder images error:', err);
+    return res.status(500).json({ message: 'Failed to reorder images' });
+  }
+};
+
+// PUT /api/products/:id/images/:imageId/primary  (Admin) — move an image to the front
+export const setPrimaryProductImage = async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    // Sorts before 0; the save renumbers the rest after it
+    product.images.id(req.params.imageId).sortOrder = -1;
+    await saveWithHistory(product, { changedBy: req.user._id });
+
+    return res.json({ message: 'Primary image updated', images: product.images });
+  } catch (err) {
+    console.error('Set primary image error:', err);
+    return res.status(500).json({ message: 'Failed to set primary image' });
+  }
+};
+
+// PATCH /api/products/:id/images/:imageId  (Admin) — { alt }
+export const updateProductImage = async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    product.images.id(req.params.imageId).alt = req.body.alt || undefined;
+    await saveWithHistory(product, { changedBy: req.user._id });
+
+    return res.json({ message: 'Image updated', image: product.images.id(req.params.imageId) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: Object.values(err.errors).map((e) => e.message) });
+    }
+    console.error('Update image error:', err);
+    return res.status(500).json({ message: 'Failed to update image' });
+  }
+};
+
+// DELETE /api/products/:id/images/:imageId  (Admin) — removes the image from
+// the product and then from Cloudinary; the last image cannot be deleted
+export const deleteProductImage = async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    if (product.images.length === 1) {
+      return res.status(400).json({ message: 'A product must keep at least one image' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    product.images.pull(image._id);
+    await saveWithHistory(product, { changedBy: req.user._id });
+
+    if (image.publicId) {
+      try { await deleteImage(image.publicId); } catch (e) { /* ignore delete failures */ }
+    }
+
+    return res.json({ message: 'Image deleted', images: product.images });
+  } catch (err) {
+    console.error('Delete image error:', err);
+    return res.status(500).json({ message: 'Failed to delete image' });
+  }
+};
+
+// PATCH|POST /api/products/:id/view — record a view (public). Repeat views by
+// the same viewer within the dedup window are not counted.
 export const incrementView = async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
 
-    const product = await Product.findById(id);
-    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const exists = await Product.exists({ _id: id });
+    if (!exists) return res.status(404).json({ message: 'Product not found' });
 
-    await product.incrementViews();
-    return res.json({ views: product.views });
+    const { counted, views } = await recordView(exists._id, {
+      userId: req.user?._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer'),
+    });
+    return res.json({ views, counted });
   } catch (err) {
     console.error('Increment view error:', err);
     return res.status(500).json({ message: 'Failed to increment view' });
   }
 };
 
-// POST /api/products/:id/like — toggle like (public)
-export const likeProduct = async (req, res) => {
+// GET /api/products/:id/views?from&to (Admin) — daily views, IST days
+export const getProductViewTrend = async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
 
-    const product = await Product.findById(id);
+    const product = await Product.findById(id).select('name views').lean();
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const range = resolveRange({ from: req.query.from, to: req.query.to, tz: 'ist' });
+    const series = await productViewSeries(product._id, bucketLabels(range, 'day'));
+    const totals = series.reduce(
+      (t, d) => ({ views: t.views + d.views, userViews: t.userViews + d.userViews }),
+      { views: 0, userViews: 0 }
+    );
+
+    return res.json({
+      product: { _id: product._id, name: product.name, lifetimeViews: product.views },
+      range: { from: range.start, to: range.end, timezone: range.zone.name },
+      series,
+      totals,
+    });
+  } catch (err) {
+    console.error('Product view trend error:', err);
+    return res.status(500).json({ message: 'Failed to fetch product views' });
+  }
+};
+
+// GET /api/products/:id/history?field&page&limit (Admin) — change log, newest
+// first; ?field=price or a prefix such as specifications / variants.<id>
+export const getProductHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
+
+    const product = await Product.findById(id).select('name sku').lean();
     if (!product) return res.status(404).json({ message: 'Product not found' });
 
-    await product.toggleLike();
-    return res.json({ likes: product.likes });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { productId: product._id };
+    const fieldPattern = req.query.field ? new RegExp(`^${escapeRegex(req.query.field)}(\\.|$)`) : null;
+    if (fieldPattern) filter['changes.field'] = fieldPattern;
+
+    const [entries, total] = await Promise.all([
+      ProductChange.find(filter)
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('changedBy', 'name email')
+        .lean(),
+      ProductChange.countDocuments(filter),
+    ]);
+    const history = fieldPattern
+      ? entries.map((e) => ({ ...e, changes: e.changes.filter((c) => fieldPattern.test(c.field)) }))
+      : entries;
+
+    const totalPages = Math.ceil(total / limit);
+    return res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      history,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (err) {
+    console.error('Product history error:', err);
+    return res.status(500).json({ message: 'Failed to fetch product history' });
+  }
+};
+
+// GET /api/products/:id/price-history?days=30&variantId — daily lowest price
+// and whether the current price is the lowest of the period (public)
+export const getPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
+
+    const product = await Product.findOne({ _id: id, isActive: true }).select('name price variants').lean();
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const { variantId } = req.query;
+    if (variantId && !findVariant(product, variantId)) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const result = await priceHistory(product, {
+      days: Math.min(parseInt(req.query.days) || 30, 365),
+      variantId,
+    });
+    return res.json({ product: { _id: product._id, name: product.name }, variantId: variantId || null, ...result });
+  } catch (err) {
+    console.error('Price history error:', err);
+    return res.status(500).json({ message: 'Failed to fetch price history' });
+  }
+};
+
+// GET /api/products/trending?days=7 — most viewed products this week
+export const getTrendingProducts = async (req, res) => {
+  try {
+    const result = await trendingProducts({
+      days: Math.min(parseInt(req.query.days) || 7, 90),
+      limit: Math.min(parseInt(req.query.limit) || 10, 50),
+      category: req.query.category,
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error('Trending products error:', err);
+    return res.status(500).json({ message: 'Failed to fetch trending products' });
+  }
+};
+
+// POST /api/products/:id/like — toggle the signed-in user's like,
+// or set it explicitly with { liked: true|false }
+export const likeProduct = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
+
+    const exists = await Product.exists({ _id: id, isActive: true });
+    if (!exists) return res.status(404).json({ message: 'Product not found' });
+
+    const liked = typeof req.body?.liked === 'boolean' ? req.body.liked : undefined;
+    const result = await setLike(req.user._id, id, liked);
+    return res.json(result);
   } catch (err) {
     console.error('Like product error:', err);
     return res.status(500).json({ message: 'Failed to like product' });
   }
 };
+
+// DELETE /api/products/:id/like — remove the signed-in user's like
+export const unlikeProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid product ID' });
+
+    const exists = await Product.exists({ _id: id });
+    if (!exists) return res.status(404).json({ message: 'Product not found' });
+
+    const result = await setLike(req.user._id, id, false);
+    return res.json(result);
+  } catch (err) {
+    console.error('Unlike product error:', err);
+    return res.status(500).json({ message: 'Failed to unlike product' });
+  }
+};
+
+// GET /api/users/me/wishlist — products the signed-in user liked, newest first,
+// with their current price and availability
+export const getMyWishlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { userId: req.user._id };
+
+    const [likes, total] = await Promise.all([
+      ProductLike.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('productId', 'name images category condition type price originalPrice discount stock availability isActive likes')
+        .lean(),
+      ProductLike.countDocuments(filter),
+    ]);
+
+    // Products that have since been deleted for good drop out of the list
+    const items = likes
+      .filter((l) => l.productId)
+      .map((l) => ({ product: { ...l.productId, likedByMe: true }, likedAt: l.createdAt }));
+
+    return res.json({
+      items,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNextPage: parseInt(page) * parseInt(limit) < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
+  } catch (err) {
+    console.error('Get wishlist error:', err);
+    return res.status(500).json({ message: 'Failed to fetch wishlist' });
+  }
+};
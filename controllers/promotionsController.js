@@ -0,0 +1,173 @@
+// controllers/promotionsController.js
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import { buildPriceSnapshot, PricingError } from '../utils/pricing.js';
+import { findPromotion, evaluatePromotion, PromotionError } from '../utils/promotions.js';
+import { escapeRegex } from '../utils/regex.js';
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'categories', 'products',
+  'minOrderValue', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit', 'isActive',
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (typeof body[key] !== 'undefined') data[key] = body[key] === '' ? null : body[key];
+  }
+  return data;
+};
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) return res.status(400).json({ message: 'A promotion with this code already exists' });
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Validation failed', errors: Object.values(error.errors).map((e) => e.message) });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/promotions (Admin)
+export const listPromotions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const { page = 1, limit = 20, isActive, search } = req.query;
+
+    const filter = {};
+    if (typeof isActive !== 'undefined') filter.isActive = isActive === 'true' || isActive === true;
+    if (search) filter.code = { $regex: escapeRegex(search), $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+      Promotion.countDocuments(filter),
+    ]);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      promotions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('List promotions error:', error);
+    res.status(500).json({ message: 'Failed to fetch promotions' });
+  }
+};
+
+// GET /api/promotions/:id (Admin) — includes recent redemptions
+export const getPromotion = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid promotion ID' });
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+
+    const redemptions = await PromotionRedemption.find({ promotionId: promotion._id })
+      .populate('userId', 'name email phone')
+      .populate('bookingId', 'couponCode status totalAmount')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ promotion, redemptions });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({ message: 'Failed to fetch promotion' });
+  }
+};
+
+// POST /api/promotions (Admin)
+export const createPromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const promotion = await Promotion.create({ ...pickEditable(req.body), createdBy: req.user._id });
+    res.status(201).json({ message: 'Promotion created successfully', promotion });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to create promotion');
+  }
+};
+
+// PUT /api/promotions/:id (Admin)
+export const updatePromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+
+    promotion.set(pickEditable(req.body));
+    await promotion.save();
+
+    res.json({ message: 'Promotion updated successfully', promotion });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to update promotion');
+  }
+};
+
+// DELETE /api/promotions/:id (Admin) — soft delete, redemptions keep pointing at it
+export const deletePromotion = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid promotion ID' });
+
+    const promotion = await Promotion.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+
+    res.json({ message: 'Promotion deactivated successfully' });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ message: 'Failed to delete promotion' });
+  }
+};
+
+// POST /api/promotions/validate — preview a code against one product or the user's cart
+export const validatePromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+
+    const { code, productId, variantId, quantity = 1 } = req.body;
+
+    let lines;
+    if (productId) {
+      lines = [{ productId, variantId, quantity: parseInt(quantity) }];
+    } else {
+      const cart = await Cart.findOne({ userId: req.user._id });
+      lines = cart?.items || [];
+    }
+    if (!lines.length) return res.status(400).json({ valid: false, message: 'Nothing to apply the promo code to' });
+
+    const products = await Product.find({ _id: { $in: lines.map((l) => l.productId) } });
+    const byId = new Map(products.map((p) => [p._id.toString(), p]));
+    const items = [];
+    for (const line of lines) {
+      const product = byId.get(line.productId.toString());
+      if (!product) return res.status(404).json({ valid: false, message: 'Product not found' });
+      items.push({ productId: product._id, ...buildPriceSnapshot(product, line.quantity, line.variantId) });
+    }
+
+    const promotion = await findPromotion(code);
+    const result = await evaluatePromotion(promotion, { items, userId: req.user._id });
+
+    res.json({ valid: true, message: 'Promo code applied', description: promotion.description, ...result });
+  } catch (error) {
+    if (error instanceof PromotionError || error instanceof PricingError) {
+      return res.status(error.status).json({ valid: false, message: error.message, ...error.details });
+    }
+    console.error('Validate promotion error:', error);
+    res.status(500).json({ message: 'Failed to validate promo code' });
+  }
+};
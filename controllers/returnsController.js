@@ -0,0 +1,413 @@
+// controllers/returnsController.js
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { deleteImage } from '../config/cloudinary.js';
+import { releaseStock } from '../utils/stock.js';
+import { applyTransition, BookingStatusError } from '../utils/bookingStatus.js';
+import { round2 } from '../utils/pricing.js';
+import { refundBookingPayments } from '../utils/payments.js';
+import { lineKey } from '../utils/variants.js';
+import { validationFailed } from '../utils/validation.js';
+
+const OPEN_STATUSES = ['requested', 'approved'];
+
+const getReturnWindowDays = () => {
+  const days = Number(process.env.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+};
+
+// Uploaded photos are orphaned when the request is refused
+const discardUploads = async (files = []) => {
+  for (const f of files) {
+    const publicId = f.filename || f.public_id;
+    if (publicId) {
+      try { await deleteImage(publicId); } catch (e) { /* ignore delete failures */ }
+    }
+  }
+};
+
+const returnItem = (line, quantity) => ({
+  productId: line.productId,
+  variantId: line.variantId,
+  productName: line.productName,
+  quantity,
+});
+
+// Units of a line not yet refunded through an earlier return
+const returnableQuantity = (booking, line) =>
+  line.quantity -
+  (booking.returnedItems || []).filter((r) => lineKey(r) === lineKey(line)).reduce((sum, r) => sum + r.quantity, 0);
+
+// Items being returned, as { productId, variantId?, quantity }; defaults to
+// everything not returned yet
+const resolveReturnItems = (booking, requested) => {
+  const lines = booking.getLineItems();
+  if (!requested) {
+    return lines.filter((l) => returnableQuantity(booking, l) > 0).map((l) => returnItem(l, returnableQuantity(booking, l)));
+  }
+
+  const list = typeof requested === 'string' ? JSON.parse(requested) : requested;
+  if (!Array.isArray(list) || !list.length) throw new Error('Select at least one item to return');
+
+  return list.map((item) => {
+    const line = lines.find((l) => lineKey(l) === lineKey(item));
+    if (!line) throw new Error('Item is not part of this booking');
+    const returnable = returnableQuantity(booking, line);
+    if (returnable < 1) throw new Error(`${line.productName} has already been returned`);
+    const quantity = parseInt(item.quantity || returnable);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      throw new Error(`Return quantity for ${line.productName} must be between 1 and ${returnable}`);
+    }
+    return returnItem(line, quantity);
+  });
+};
+
+// Most that can be refunded for the returned items: their price less their
+// share of the order's promo discount (spread over the lines by value), and
+// never more than was paid and not refunded yet
+const maxRefundFor = (booking, items) => {
+  const lines = booking.getLineItems();
+  const gross = lines.reduce((sum, l) => sum + l.sellingPrice * l.quantity, 0);
+  const keptShare = gross > 0 ? 1 - (booking.discountAmount || 0) / gross : 1;
+  const value = items.reduce((sum, item) => {
+    const line = lines.find((l) => lineKey(l) === lineKey(item));
+    return sum + (line ? line.sellingPrice * item.quantity * keptShare : 0);
+  }, 0);
+
+  // Bookings completed before payments were tracked were paid in full at the counter.
+  // Gateway refunds count in amountRefunded, counter refunds only in refundAmount.
+  const paid = booking.completedAt && !booking.amountPaid ? booking.totalAmount : booking.amountPaid || 0;
+  const refunded = Math.max(booking.amountRefunded || 0, booking.refundAmount || 0);
+  return round2(Math.max(Math.min(value, paid - refunded), 0));
+};
+
+// Returned quantities per line once `items` are added to earlier returns
+const mergeReturned = (booking, items) => {
+  const merged = (booking.returnedItems || []).map((r) => ({ productId: r.productId, variantId: r.variantId, quantity: r.quantity }));
+  for (const item of items) {
+    const existing = merged.find((r) => lineKey(r) === lineKey(item));
+    if (existing) existing.quantity += item.quantity;
+    else merged.push({ productId: item.productId, variantId: item.variantId, quantity: item.quantity });
+  }
+  return merged;
+};
+
+// Whether `items` return everything still left on the booking
+const isWholeBooking = (booking, items) =>
+  booking.getLineItems().every((line) => {
+    const item = items.find((i) => lineKey(i) === lineKey(line));
+    return (item?.quantity || 0) >= returnableQuantity(booking, line);
+  });
+
+// POST /api/bookings/:id/returns — customer opens a return (multipart, optional 'images')
+export const createReturnRequest = async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (validationFailed(req, res)) return discardUploads(files);
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      await discardUploads(files);
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const isOwner = booking.userId.toString() === req.user._id.toString();
+    if (!isAdmin && !isOwner) {
+      await discardUploads(files);
+      return res.status(403).json({ success: false, message: 'Not authorized to return this booking' });
+    }
+
+    let problem = null;
+    const windowDays = getReturnWindowDays();
+    if (booking.status !== 'completed') {
+      problem = [400, 'Only completed bookings can be returned'];
+    } else if (OPEN_STATUSES.includes(booking.returnStatus)) {
+      problem = [409, 'A return request is already open for this booking'];
+    } else if (booking.getLineItems().every((line) => returnableQuantity(booking, line) < 1)) {
+      problem = [409, 'Every item of this booking has already been returned'];
+    } else if (booking.completedAt.getTime() + windowDays * 24 * 60 * 60 * 1000 < Date.now()) {
+      problem = [400, `Returns must be requested within ${windowDays} days of pickup`];
+    }
+    if (problem) {
+      await discardUploads(files);
+      return res.status(problem[0]).json({ success: false, message: problem[1] });
+    }
+
+    let items;
+    try {
+      items = resolveReturnItems(booking, req.body.items);
+    } catch (error) {
+      await discardUploads(files);
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    let returnRequest;
+    await mongoose.connection.transaction(async (session) => {
+      returnRequest = new ReturnRequest({
+        bookingId: booking._id,
+        userId: booking.userId,
+        items,
+        reason: req.body.reason,
+        details: req.body.details,
+        photos: files.map((f) => ({ url: f.path || f.secure_url, publicId: f.filename || f.public_id })),
+      });
+
+      // Guard against a double submit racing this one
+      const claimed = await Booking.updateOne(
+        { _id: booking._id, returnStatus: { $nin: OPEN_STATUSES } },
+        { $set: { returnStatus: 'requested', returnRequestId: returnRequest._id } },
+        { session }
+      );
+      if (!claimed.modifiedCount) throw new BookingStatusError('A return request is already open for this booking', 409);
+
+      await returnRequest.save({ session });
+    });
+
+    res.status(201).json({ success: true, message: 'Return request submitted', returnRequest });
+  } catch (error) {
+    await discardUploads(files);
+    if (error instanceof BookingStatusError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error creating return request:', error);
+    res.status(500).json({ success: false, message: 'Failed to create return request', error: error.message });
+  }
+};
+
+// GET /api/returns (Admin) — return queue, open requests first-in first-out by default
+export const listReturns = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { page = 1, limit = 20, status } = req.query;
+    const statuses = status ? String(status).split(',').map((s) => s.trim()) : OPEN_STATUSES;
+    const filter = { status: { $in: statuses } };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('bookingId', 'couponCode customerName customerPhone totalAmount completedAt status')
+        .populate('userId', 'name email phone')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ReturnRequest.countDocuments(filter),
+    ]);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      returns,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: error.message });
+  }
+};
+
+// GET /api/returns/mine
+export const getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.user._id })
+      .populate('bookingId', 'couponCode productName items totalAmount status')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, count: returns.length, returns });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: error.message });
+  }
+};
+
+// GET /api/returns/:id (owner or admin)
+export const getReturn = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid return ID' });
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('bookingId')
+      .populate('decidedBy refundedBy', 'name');
+    if (!returnRequest) return res.status(404).json({ success: false, message: 'Return request not found' });
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && returnRequest.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this return' });
+    }
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Error fetching return:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch return', error: error.message });
+  }
+};
+
+// Load a return in one of `allowed` statuses, or send the error response
+const loadReturn = async (req, res, allowed) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid return ID' });
+    return null;
+  }
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) {
+    res.status(404).json({ success: false, message: 'Return request not found' });
+    return null;
+  }
+  if (!allowed.includes(returnRequest.status)) {
+    res.status(400).json({ success: false, message: `Return request is already ${returnRequest.status}` });
+    return null;
+  }
+  return returnRequest;
+};
+
+const sendDecisionError = (res, error, fallbackMessage) => {
+  if (error instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ success: false, message: 'Return request was updated by someone else. Please refresh.' });
+  }
+  if (error instanceof BookingStatusError) {
+    return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+// PATCH /api/returns/:id/approve (Admin)
+export const approveReturn = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const returnRequest = await loadReturn(req, res, ['requested']);
+    if (!returnRequest) return;
+
+    await mongoose.connection.transaction(async (session) => {
+      returnRequest.set({
+        status: 'approved',
+        inspectionNotes: req.body.inspectionNotes ?? returnRequest.inspectionNotes,
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
+      });
+      await returnRequest.save({ session });
+      await Booking.updateOne({ _id: returnRequest.bookingId }, { $set: { returnStatus: 'approved' } }, { session });
+    });
+
+    res.json({ success: true, message: 'Return approved', returnRequest });
+  } catch (error) {
+    sendDecisionError(res, error, 'Failed to approve return');
+  }
+};
+
+// PATCH /api/returns/:id/reject (Admin) — before or after inspection
+export const rejectReturn = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const returnRequest = await loadReturn(req, res, OPEN_STATUSES);
+    if (!returnRequest) return;
+
+    await mongoose.connection.transaction(async (session) => {
+      returnRequest.set({
+        status: 'rejected',
+        rejectionReason: req.body.reason,
+        inspectionNotes: req.body.inspectionNotes ?? returnRequest.inspectionNotes,
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
+      });
+      await returnRequest.save({ session });
+      await Booking.updateOne({ _id: returnRequest.bookingId }, { $set: { returnStatus: 'rejected' } }, { session });
+    });
+
+    res.json({ success: true, message: 'Return rejected', returnRequest });
+  } catch (error) {
+    sendDecisionError(res, error, 'Failed to reject return');
+  }
+};
+
+// PATCH /api/returns/:id/refund (Admin) — record inspection, refund amount and restock
+export const refundReturn = async (req, res) => {
+  let booking;
+  try {
+    if (validationFailed(req, res)) return;
+    const returnRequest = await loadReturn(req, res, ['approved']);
+    if (!returnRequest) return;
+
+    booking = await Booking.findById(returnRequest.bookingId);
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+
+    const maxRefund = maxRefundFor(booking, returnRequest.items);
+    const refundAmount =
+      req.body.refundAmount !== undefined ? round2(Number(req.body.refundAmount)) : maxRefund;
+    if (refundAmount > maxRefund) {
+      return res.status(400).json({ success: false, message: `Refund cannot exceed ₹${maxRefund.toLocaleString('en-IN')}`, maxRefund });
+    }
+    const restock = req.body.restock === true || req.body.restock === 'true';
+    const now = new Date();
+
+    await mongoose.connection.transaction(async (session) => {
+      if (restock) {
+        for (const item of returnRequest.items) {
+          await releaseStock(item.productId, item.quantity, session, item.variantId);
+        }
+      }
+
+      returnRequest.set({
+        status: 'refunded',
+        refundAmount,
+        refundType: refundAmount >= maxRefund ? 'full' : 'partial',
+        restocked: restock,
+        inspectionNotes: req.body.inspectionNotes ?? returnRequest.inspectionNotes,
+        refundedBy: req.user._id,
+        refundedAt: now,
+      });
+      await returnRequest.save({ session });
+
+      const refundFields = {
+        returnStatus: 'refunded',
+        refundAmount: round2((booking.refundAmount || 0) + refundAmount),
+        returnedItems: mergeReturned(booking, returnRequest.items),
+        refundedAt: now,
+      };
+      if (isWholeBooking(booking, returnRequest.items)) {
+        await applyTransition(
+          booking,
+          'returned',
+          { changedBy: req.user._id, reason: `Return refunded (₹${refundAmount})`, updates: refundFields, viaReturn: true },
+          session
+        );
+      } else {
+        // Partial return of a multi-item order: the booking itself stays completed
+        await Booking.updateOne({ _id: booking._id }, { $set: refundFields }, { session });
+      }
+    });
+
+    // Money paid online goes back through the gateway; the rest is refunded at the counter
+    const paidOnline = round2((booking.amountPaid || 0) - (booking.amountRefunded || 0));
+    let onlineRefund = 0;
+    if (booking.paymentMode === 'online' && paidOnline > 0) {
+      try {
+        onlineRefund = await refundBookingPayments(booking, {
+          amount: Math.min(refundAmount, paidOnline),
+          reason: `Return ${returnRequest._id}`,
+          refundedBy: req.user._id,
+        });
+      } catch (error) {
+        console.error(`Online refund for return ${returnRequest._id} failed:`, error);
+        return res.status(502).json({
+          success: false,
+          message: 'Refund recorded, but the online refund failed. Retry it from the payments page.',
+          returnRequest,
+        });
+      }
+    }
+
+    res.json({ success: true, message: 'Refund recorded', returnRequest, onlineRefund });
+  } catch (error) {
+    sendDecisionError(res, error, 'Failed to refund return');
+  } finally {
+    booking?.$session(null);
+  }
+};
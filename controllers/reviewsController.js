@@ -0,0 +1,237 @@
+// controllers/reviewsController.js
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import { deleteImage } from '../config/cloudinary.js';
+import { findReviewableBooking, refreshProductRating, ratingDistribution, ReviewError } from '../utils/reviews.js';
+import { validationFailed } from '../utils/validation.js';
+
+const PUBLIC_FIELDS = 'productId authorName rating title text photos reply.text reply.repliedAt createdAt updatedAt';
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const discardPhotos = async (photos = []) => {
+  for (const p of photos) {
+    const publicId = p.publicId || p.filename || p.public_id;
+    if (publicId) {
+      try { await deleteImage(publicId); } catch (e) { /* ignore delete failures */ }
+    }
+  }
+};
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return { currentPage: page, totalPages, totalItems: total, hasNextPage: page < totalPages, hasPrevPage: page > 1 };
+};
+
+// GET /api/products/:id/reviews — approved reviews with the rating summary
+export const getProductReviews = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const { id } = req.params;
+
+    const product = await Product.findById(id).select('ratingAverage ratingCount');
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = { productId: product._id, status: 'approved' };
+    if (req.query.rating) filter.rating = parseInt(req.query.rating);
+    if (req.query.withPhotos === true) filter['photos.0'] = { $exists: true };
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .select(PUBLIC_FIELDS)
+        .sort(SORTS[req.query.sort] || SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      ratingDistribution(product._id),
+    ]);
+
+    res.json({
+      success: true,
+      summary: { ratingAverage: product.ratingAverage, ratingCount: product.ratingCount, distribution },
+      reviews,
+      pagination: paginate(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews' });
+  }
+};
+
+// POST /api/products/:id/reviews — verified buyers only; published once approved
+export const createReview = async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (validationFailed(req, res)) return discardPhotos(files);
+
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      await discardPhotos(files);
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const booking = await findReviewableBooking(req.user._id, product._id, req.body.bookingId);
+
+    const review = await Review.create({
+      productId: product._id,
+      userId: req.user._id,
+      bookingId: booking._id,
+      authorName: req.user.name,
+      rating: parseInt(req.body.rating),
+      title: req.body.title,
+      text: req.body.text,
+      photos: files.map((f) => ({ url: f.path || f.secure_url, publicId: f.filename || f.public_id })),
+    });
+
+    res.status(201).json({ success: true, message: 'Thanks! Your review will appear once it is approved.', review });
+  } catch (error) {
+    await discardPhotos(files);
+    if (error instanceof ReviewError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'You have already reviewed this product for this booking' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: Object.values(error.errors).map((e) => e.message) });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit review' });
+  }
+};
+
+// GET /api/reviews/mine — the signed-in user's reviews, whatever their status
+export const getMyReviews = async (req, res) => {
+  try {
+    const reviews = await Review.find({ userId: req.user._id })
+      .populate('productId', 'name images')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ success: true, reviews });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews' });
+  }
+};
+
+// GET /api/reviews (Admin) — moderation queue, pending first by default
+export const listReviews = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.productId) filter.productId = req.query.productId;
+    if (req.query.rating) filter.rating = parseInt(req.query.rating);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('productId', 'name images')
+        .populate('userId', 'name email phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, reviews, pagination: paginate(page, limit, total) });
+  } catch (error) {
+    console.error('List reviews error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews' });
+  }
+};
+
+const loadReview = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid review ID' });
+    return null;
+  }
+  const review = await Review.findById(req.params.id);
+  if (!review) res.status(404).json({ success: false, message: 'Review not found' });
+  return review;
+};
+
+// Status change and rating refresh commit together
+const moderate = (status, message) => async (req, res) => {
+  let review;
+  try {
+    if (validationFailed(req, res)) return;
+    review = await loadReview(req, res);
+    if (!review) return;
+
+    await mongoose.connection.transaction(async (session) => {
+      review.set({
+        status,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+        moderationNote: req.body.note ?? review.moderationNote,
+      });
+      await review.save({ session });
+      await refreshProductRating(review.productId, session);
+    });
+
+    res.json({ success: true, message, review });
+  } catch (error) {
+    console.error(`${message} error:`, error);
+    res.status(500).json({ success: false, message: 'Failed to moderate review' });
+  } finally {
+    review?.$session(null);
+  }
+};
+
+// PATCH /api/reviews/:id/approve (Admin)
+export const approveReview = moderate('approved', 'Review approved');
+
+// PATCH /api/reviews/:id/hide (Admin)
+export const hideReview = moderate('hidden', 'Review hidden');
+
+// PUT /api/reviews/:id/reply (Admin) — public reply shown under the review
+export const replyToReview = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    review.reply = { text: req.body.text, repliedBy: req.user._id, repliedAt: new Date() };
+    await review.save();
+
+    res.json({ success: true, message: 'Reply saved', review });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save reply' });
+  }
+};
+
+// DELETE /api/reviews/:id — the author or an admin
+export const deleteReview = async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && String(review.userId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to delete this review' });
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      await Review.deleteOne({ _id: review._id }, { session });
+      await refreshProductRating(review.productId, session);
+    });
+    await discardPhotos(review.photos);
+
+    res.json({ success: true, message: 'Review deleted' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete review' });
+  }
+};
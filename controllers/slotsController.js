@@ -0,0 +1,115 @@
+// controllers/slotsController.js
+import PickupSlot from '../models/PickupSlot.js';
+import { getSchedule, listAvailability, slotsForDay, istDateKey } from '../utils/pickupSlots.js';
+import { validationFailed } from '../utils/validation.js';
+
+const MAX_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/bookings/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+export const getSlotAvailability = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const from = req.query.from || istDateKey(new Date());
+    const to = req.query.to || new Date(Date.parse(`${from}T00:00:00Z`) + 6 * DAY_MS).toISOString().slice(0, 10);
+
+    const span = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS;
+    if (span < 0) return res.status(400).json({ success: false, message: '"to" must not be before "from"' });
+    if (span >= MAX_RANGE_DAYS) {
+      return res.status(400).json({ success: false, message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const days = await listAvailability(from, to);
+    res.json({ success: true, from, to, days });
+  } catch (error) {
+    console.error('Error fetching slot availability:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pickup slots', error: error.message });
+  }
+};
+
+// GET /api/bookings/slots/schedule (Admin)
+export const getPickupSchedule = async (req, res) => {
+  try {
+    res.json({ success: true, schedule: await getSchedule() });
+  } catch (error) {
+    console.error('Error fetching pickup schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pickup schedule', error: error.message });
+  }
+};
+
+// PUT /api/bookings/slots/schedule (Admin)
+export const updatePickupSchedule = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const schedule = await getSchedule();
+    for (const key of ['weeklyHours', 'slotMinutes', 'capacityPerSlot', 'maxAdvanceDays', 'minLeadMinutes', 'holidays']) {
+      if (typeof req.body[key] !== 'undefined') schedule[key] = req.body[key];
+    }
+    schedule.updatedBy = req.user._id;
+    await schedule.save();
+
+    res.json({ success: true, message: 'Pickup schedule updated', schedule });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: Object.values(error.errors).map((e) => e.message) });
+    }
+    console.error('Error updating pickup schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to update pickup schedule', error: error.message });
+  }
+};
+
+// Slots targeted by a block/unblock request: one slot, or every slot of the day
+const targetSlots = (schedule, date, start) => {
+  const slots = slotsForDay(schedule, date);
+  return start ? slots.filter((s) => s.start === start) : slots;
+};
+
+// POST /api/bookings/slots/block (Admin) — { date, start?, reason? }
+export const blockSlots = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { date, start, reason } = req.body;
+    const slots = targetSlots(await getSchedule(), date, start);
+    if (!slots.length) return res.status(404).json({ success: false, message: 'No matching pickup slots on this day' });
+
+    await PickupSlot.bulkWrite(
+      slots.map((s) => ({
+        updateOne: {
+          filter: { date, start: s.start },
+          update: { $set: { blocked: true, blockReason: reason, blockedBy: req.user._id } },
+          upsert: true,
+        },
+      }))
+    );
+
+    // Existing bookings in these slots are kept; admins can reschedule or cancel them
+    const affected = await PickupSlot.find({ date, start: { $in: slots.map((s) => s.start) }, booked: { $gt: 0 } })
+      .select('start booked')
+      .lean();
+
+    res.json({ success: true, message: `Blocked ${slots.length} slot(s)`, blocked: slots.map((s) => s.start), affected });
+  } catch (error) {
+    console.error('Error blocking slots:', error);
+    res.status(500).json({ success: false, message: 'Failed to block slots', error: error.message });
+  }
+};
+
+// DELETE /api/bookings/slots/block (Admin) — { date, start? }
+export const unblockSlots = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { date, start } = req.body;
+    const filter = { date, blocked: true };
+    if (start) filter.start = start;
+
+    const result = await PickupSlot.updateMany(filter, { $set: { blocked: false }, $unset: { blockReason: '', blockedBy: '' } });
+    res.json({ success: true, message: `Unblocked ${result.modifiedCount} slot(s)` });
+  } catch (error) {
+    console.error('Error unblocking slots:', error);
+    res.status(500).json({ success: false, message: 'Failed to unblock slots', error: error.message });
+  }
+};
@@ -0,0 +1,156 @@
+// controllers/webhooksController.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { redeliver } from '../utils/webhookWorker.js';
+import { validationFailed } from '../utils/validation.js';
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Validation failed', errors: Object.values(error.errors).map((e) => e.message) });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/webhooks (Admin)
+export const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    res.json({ webhooks });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ message: 'Failed to fetch webhooks' });
+  }
+};
+
+// GET /api/webhooks/:id (Admin)
+export const getWebhook = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid webhook ID' });
+
+    const webhook = await WebhookSubscription.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    res.json({ webhook });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook' });
+  }
+};
+
+// POST /api/webhooks (Admin) — the secret is only shown in this response
+export const createWebhook = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+
+    const { url, description, events, isActive } = req.body;
+    const secret = req.body.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const webhook = await WebhookSubscription.create({
+      url,
+      description,
+      events,
+      isActive,
+      secret,
+      createdBy: req.user._id,
+    });
+
+    const result = webhook.toObject();
+    result.secret = secret;
+    res.status(201).json({ message: 'Webhook created successfully', webhook: result });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to create webhook');
+  }
+};
+
+// PUT /api/webhooks/:id (Admin) — pass rotateSecret=true to issue a new secret
+export const updateWebhook = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+
+    const webhook = await WebhookSubscription.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    for (const key of ['url', 'description', 'events', 'isActive']) {
+      if (typeof req.body[key] !== 'undefined') webhook[key] = req.body[key];
+    }
+    let newSecret;
+    if (req.body.rotateSecret === true) {
+      newSecret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+      webhook.secret = newSecret;
+    }
+    await webhook.save();
+
+    const result = webhook.toObject();
+    delete result.secret;
+    if (newSecret) result.secret = newSecret;
+    res.json({ message: 'Webhook updated successfully', webhook: result });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to update webhook');
+  }
+};
+
+// DELETE /api/webhooks/:id (Admin) — deactivates; the delivery log is kept
+export const deleteWebhook = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid webhook ID' });
+
+    const webhook = await WebhookSubscription.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    res.json({ message: 'Webhook deactivated successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Failed to delete webhook' });
+  }
+};
+
+// GET /api/webhooks/:id/deliveries (Admin)
+export const listDeliveries = async (req, res) => {
+  try {
+    if (validationFailed(req, res, { withSuccess: false })) return;
+
+    const { page = 1, limit = 20, status, event } = req.query;
+    const filter = { subscriptionId: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ message: 'Failed to fetch deliveries' });
+  }
+};
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver (Admin)
+export const redeliverDelivery = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.deliveryId)) return res.status(400).json({ message: 'Invalid delivery ID' });
+
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) return res.status(404).json({ message: 'Delivery not found or currently being sent' });
+
+    res.json({ message: 'Delivery queued for redelivery', delivery });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ message: 'Failed to redeliver webhook' });
+  }
+};
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+const getTtlMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// How long a request may stay 'processing' before a retry assumes it crashed
+const getProcessingTimeoutMs = () => {
+  const seconds = Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 120) * 1000;
+};
+
+// JSON with sorted keys so { a, b } and { b, a } hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) =>
+  crypto.createHash('sha256').update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body)}`).digest('hex');
+
+// Make a state-changing route safe to retry. With an Idempotency-Key header,
+// the first request runs normally and its response is stored; retries with the
+// same key and body from the same user get the stored response back. Must run
+// after authenticateToken and after the body is parsed.
+export const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ message: 'Idempotency-Key must be 8-128 characters of letters, digits, "_", "-", "." or ":"' });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.user._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + getTtlMs()),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency middleware error:', error);
+      return res.status(500).json({ message: 'Failed to process idempotency key' });
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+      if (!existing) return res.status(409).json({ message: 'Request with this Idempotency-Key is being retried, please try again' });
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key has already been used for a different request' });
+      }
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Still processing: wait, unless the attempt is old enough to have crashed
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', startedAt: { $lt: new Date(Date.now() - getProcessingTimeoutMs()) } },
+        { $set: { startedAt: new Date() } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+    } catch (lookupError) {
+      console.error('Idempotency middleware error:', lookupError);
+      return res.status(500).json({ message: 'Failed to process idempotency key' });
+    }
+  }
+
+  // Store the JSON response before sending it, so a fast retry already sees it.
+  // Server errors free the key so the client can retry.
+  const originalJson = res.json.bind(res);
+  let handled = false;
+  res.json = (body) => {
+    handled = true;
+    const stored =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+          );
+    stored
+      .catch((error) => console.error('Failed to store idempotent response:', error))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  // A finished non-JSON response is not stored; release the key. A client that
+  // disconnects early does not: the handler keeps running and may still create
+  // the booking, so its retry must find the key.
+  res.on('finish', () => {
+    if (!handled) IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' }).catch(() => {});
+  });
+
+  next();
+};
@@ -1,23 +1,126 @@
 import mongoose from 'mongoose';
 
-const bookingSchema = new mongoose.Schema({
-  // Product Information
+// Booking lifecycle. Every status lists the statuses it may move to next;
+// anything not listed here is an illegal transition.
+export const BOOKING_STATUSES = [
+  'pending', 'confirmed', 'ready_for_pickup', 'out_for_delivery', 'completed', 'cancelled', 'returned'
+];
+
+export const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['ready_for_pickup', 'out_for_delivery', 'completed', 'cancelled'],
+  ready_for_pickup: ['completed', 'cancelled'],
+  out_for_delivery: ['completed', 'returned', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  returned: []
+};
+
+// Moves only the returns workflow may make: a completed booking is returned by
+// refunding a return request, never through the generic status endpoint
+export const RETURN_TRANSITIONS = {
+  completed: ['returned']
+};
+
+// Money side of a booking. Pay-at-pickup bookings stay unpaid until the counter
+// collects the balance on completion; online bookings are paid through a gateway.
+export const PAYMENT_MODES = ['pay_at_pickup', 'online'];
+// partially_paid: an advance was captured but part of the total is still due at pickup
+export const BOOKING_PAYMENT_STATUSES = ['unpaid', 'authorized', 'partially_paid', 'paid', 'refunded', 'failed'];
+
+// One product line of a multi-item (cart) order, with its own price snapshot
+const lineItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
-  productName: {
+  productName: { type: String, required: true },
+  productImage: { type: String, required: true },
+  productCategory: { type: String, required: true },
+  // Chosen variant, for products sold in variants (see utils/variants.js)
+  variantId: mongoose.Schema.Types.ObjectId,
+  variantSku: String,
+  variantLabel: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  actualPrice: { type: Number, required: true, min: 0 },
+  strikePrice: { type: Number, required: true, min: 0 },
+  sellingPrice: { type: Number, required: true, min: 0 },
+  discountPercentage: { type: Number, required: true, min: 0, max: 100 },
+  totalAmount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...BOOKING_STATUSES, null],
+    default: null
+  },
+  to: {
     type: String,
+    enum: BOOKING_STATUSES,
     required: true
   },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const bookingSchema = new mongoose.Schema({
+  // Product Information (snapshot taken at booking time, never rewritten).
+  // Single-product bookings use these fields; cart orders use `items` instead.
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: isSingleProduct
+  },
+  productName: {
+    type: String,
+    required: isSingleProduct,
+    immutable: true
+  },
   productImage: {
     type: String,
-    required: true
+    required: isSingleProduct,
+    immutable: true
   },
   productCategory: {
     type: String,
-    required: true
+    required: isSingleProduct,
+    immutable: true
+  },
+  // Chosen variant (_id within product.variants), when the product has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true
+  },
+  variantSku: {
+    type: String,
+    immutable: true
+  },
+  variantLabel: {
+    type: String,
+    immutable: true
+  },
+
+  // Line items of a cart order (empty for single-product bookings)
+  items: {
+    type: [lineItemSchema],
+    immutable: true,
+    default: undefined
   },
 
   // Customer Information
@@ -42,51 +145,89 @@ const bookingSchema = new mongoose.Schema({
     trim: true
   },
 
-  // Order Details
+  // Order Details (for cart orders: total units across all items)
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
     default: 1
   },
+  // Pickup date/time (start of the chosen pickup slot for slot-based bookings)
   bookingDate: {
     type: Date,
     required: [true, 'Booking date is required']
   },
+  // Chosen pickup slot (IST). `held` is true while the booking occupies capacity.
+  pickupSlot: {
+    date: String,
+    start: String,
+    end: String,
+    held: Boolean
+  },
   orderDate: {
     type: Date,
     default: Date.now
   },
 
-  // Pricing Information
+  // Pricing Information - computed server-side from the Product (see utils/pricing.js)
+  // and frozen so completed bookings keep the price the customer actually paid
   actualPrice: {
     type: Number,
-    required: true,
+    required: isSingleProduct,
+    immutable: true,
     min: [0, 'Actual price cannot be negative']
   },
   strikePrice: {
     type: Number,
-    required: true,
+    required: isSingleProduct,
+    immutable: true,
     min: [0, 'Strike price cannot be negative']
   },
   sellingPrice: {
     type: Number,
-    required: true,
+    required: isSingleProduct,
+    immutable: true,
     min: [0, 'Selling price cannot be negative']
   },
   totalAmount: {
     type: Number,
     required: true,
+    immutable: true,
     min: [0, 'Total amount cannot be negative']
   },
   discountPercentage: {
     type: Number,
-    required: true,
+    required: isSingleProduct,
+    immutable: true,
     min: [0, 'Discount percentage cannot be negative'],
     max: [100, 'Discount percentage cannot exceed 100%']
   },
 
-  // Auto-generated unique Coupon Code
+  // Promotion applied at booking time. totalAmount is what the customer pays,
+  // i.e. subtotalAmount - discountAmount; bookings without a promo have no subtotal.
+  promoCode: {
+    type: String,
+    uppercase: true,
+    immutable: true
+  },
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    immutable: true
+  },
+  subtotalAmount: {
+    type: Number,
+    immutable: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    immutable: true,
+    min: [0, 'Discount amount cannot be negative']
+  },
+
+  // Auto-generated unique Coupon Code (pickup reference, not a promotion)
   couponCode: {
     type: String,
     unique: true,
@@ -96,33 +237,112 @@ const bookingSchema = new mongoose.Schema({
     }
   },
 
-  // Order Status - UPDATED to include 'completed'
+  // Order Status - see STATUS_TRANSITIONS for the allowed moves
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled', 'completed'],
+    enum: BOOKING_STATUSES,
     default: 'confirmed'
   },
 
+  // Who changed the status, when and why (oldest first)
+  statusHistory: [statusHistorySchema],
+
+  // Stock reservation lifecycle: reserved on create, released on cancel,
+  // fulfilled on completion. Older bookings have no value and never touch stock.
+  stockStatus: {
+    type: String,
+    enum: ['reserved', 'released', 'fulfilled']
+  },
+
+  // Payment. Online bookings stay pending until `advanceAmount` (the whole total
+  // or a partial advance) is captured, and are cancelled if paymentDueBy passes first.
+  paymentMode: {
+    type: String,
+    enum: PAYMENT_MODES,
+    default: 'pay_at_pickup'
+  },
+  paymentStatus: {
+    type: String,
+    enum: BOOKING_PAYMENT_STATUSES,
+    default: 'unpaid'
+  },
+  advanceAmount: {
+    type: Number,
+    min: [0, 'Advance amount cannot be negative']
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount paid cannot be negative']
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount refunded cannot be negative']
+  },
+  paymentDueBy: Date,
+
   // Additional Information
   notes: {
     type: String,
     trim: true
   },
   
+  // In-store redemption of the coupon code (set once, by the staff member who scanned it)
+  redeemedAt: Date,
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Latest return request and refund (see models/ReturnRequest.js)
+  returnStatus: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded']
+  },
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  // Total refunded through returns, and the quantities returned per line so a
+  // multi-item order can be returned in several requests
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  refundedAt: Date,
+  returnedItems: [{
+    _id: false,
+    productId: mongoose.Schema.Types.ObjectId,
+    variantId: mongoose.Schema.Types.ObjectId,
+    quantity: Number
+  }],
+
   // Timestamps for status changes
   cancelledAt: Date,
   cancellationReason: String,
-  completedAt: Date
+  completedAt: Date,
+  returnedAt: Date
 
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent status changes on the same booking fail instead of overwriting each other
+  optimisticConcurrency: true
 });
 
 // Indexes for better query performance
 bookingSchema.index({ userId: 1 });
 bookingSchema.index({ productId: 1 });
+bookingSchema.index({ 'items.productId': 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ orderDate: -1 });
+bookingSchema.index({ 'pickupSlot.date': 1, 'pickupSlot.start': 1 });
+bookingSchema.index({ status: 1, paymentMode: 1, paymentDueBy: 1 });
+
+// Top-level product/price fields are only required for single-product bookings
+function isSingleProduct() {
+  return !this.items || this.items.length === 0;
+}
 
 // Function to generate a unique coupon code
 function generateCouponCode() {
@@ -132,14 +352,60 @@ function generateCouponCode() {
   return `${prefix}-${timestamp}-${random}`;
 }
 
-// Method to update booking status
-bookingSchema.methods.updateStatus = function(newStatus) {
+// Products and quantities covered by this booking, whatever its shape
+bookingSchema.methods.getLineItems = function() {
+  if (this.items && this.items.length) return this.items;
+  return [{
+    productId: this.productId,
+    productName: this.productName,
+    productImage: this.productImage,
+    productCategory: this.productCategory,
+    variantId: this.variantId,
+    variantSku: this.variantSku,
+    variantLabel: this.variantLabel,
+    quantity: this.quantity,
+    actualPrice: this.actualPrice,
+    strikePrice: this.strikePrice,
+    sellingPrice: this.sellingPrice,
+    discountPercentage: this.discountPercentage,
+    totalAmount: this.totalAmount
+  }];
+};
+
+// What is still owed: the rest of the advance for unpaid online bookings,
+// otherwise the balance to collect at pickup
+bookingSchema.methods.getAmountDue = function() {
+  const paid = this.amountPaid || 0;
+  if (this.paymentMode === 'online' && this.status === 'pending') {
+    return Math.max(Math.round(((this.advanceAmount ?? this.totalAmount) - paid) * 100) / 100, 0);
+  }
+  return Math.max(Math.round((this.totalAmount - paid) * 100) / 100, 0);
+};
+
+// Whether the booking may move from its current status to `newStatus`
+// (`viaReturn` also allows RETURN_TRANSITIONS)
+bookingSchema.methods.canTransitionTo = function(newStatus, { viaReturn = false } = {}) {
+  if ((STATUS_TRANSITIONS[this.status] || []).includes(newStatus)) return true;
+  return viaReturn && (RETURN_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Method to update booking status and record it in statusHistory
+bookingSchema.methods.updateStatus = function(newStatus, { changedBy, reason, viaReturn } = {}) {
+  if (!this.canTransitionTo(newStatus, { viaReturn })) {
+    throw new Error(`Illegal booking status transition: ${this.status} -> ${newStatus}`);
+  }
+
+  const now = new Date();
+  this.statusHistory.push({ from: this.status, to: newStatus, changedBy, changedAt: now, reason });
   this.status = newStatus;
   
   if (newStatus === 'cancelled') {
-    this.cancelledAt = new Date();
+    this.cancelledAt = now;
+    if (reason) this.cancellationReason = reason;
   } else if (newStatus === 'completed') {
-    this.completedAt = new Date();
+    this.completedAt = now;
+  } else if (newStatus === 'returned') {
+    this.returnedAt = now;
   }
   
   return this.save();
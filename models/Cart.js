@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Cart lines only hold product + quantity; prices are always read live from
+// the Product and snapshotted at checkout.
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Chosen variant, for products sold in variants
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Cart', cartSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. invoice numbers per financial year). Always increment
+// inside the transaction that uses the number so aborted writes leave no gaps.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
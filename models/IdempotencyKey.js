@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Stored result of a request sent with an Idempotency-Key header. Documents
+// are removed by MongoDB's TTL monitor once expiresAt passes.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  // sha256 of method + path + body, to spot a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // When the current attempt started; a 'processing' key older than the
+  // processing timeout belongs to a handler that crashed and may be taken over
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Tax invoice issued when a booking is completed. Everything printed on the
+// PDF is frozen here so a re-download always shows the original invoice.
+const invoiceItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  category: String,
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  couponCode: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  store: {
+    name: String,
+    address: String,
+    state: String,
+    stateCode: String,
+    gstin: String,
+    phone: String,
+    email: String
+  },
+  customer: {
+    name: String,
+    phone: String,
+    address: String
+  },
+
+  items: [invoiceItemSchema],
+  subtotal: { type: Number, required: true },
+  promoCode: String,
+  discountAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true },
+
+  // GST breakup (prices are tax-inclusive, intra-state supply: CGST + SGST)
+  gstRate: { type: Number, required: true },
+  taxableValue: { type: Number, required: true },
+  cgst: { type: Number, required: true },
+  sgst: { type: Number, required: true }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Outbox entry. Written in the same transaction as the booking change that
+// caused it, then delivered by utils/notificationWorker.js.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  recipient: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+
+  // Delivery state: pending -> sending -> sent, or back to pending with backoff
+  // until maxAttempts, after which the message is dead-lettered
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
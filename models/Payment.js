@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// created: order opened at the gateway, waiting for the customer
+// authorized: funds held, not yet captured
+// captured: money received; refunded once refundedAmount reaches amount
+export const PAYMENT_STATUSES = ['created', 'authorized', 'captured', 'failed', 'refunded'];
+
+const refundSchema = new mongoose.Schema({
+  gatewayRefundId: String,
+  amount: { type: Number, required: true, min: 0 },
+  reason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const paymentEventSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  source: {
+    type: String,
+    enum: ['client', 'webhook', 'admin', 'system']
+  },
+  at: { type: Date, default: Date.now },
+  detail: String
+}, { _id: false });
+
+// One gateway order for (part of) a booking's amount
+const paymentSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Payment amount must be at least ₹1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'created'
+  },
+
+  gatewayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gatewayPaymentId: String,
+  capturedAt: Date,
+  failureReason: String,
+
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [refundSchema],
+
+  // What happened to this payment, oldest first
+  events: [paymentEventSchema]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const TIME_MATCH = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+const DATE_MATCH = [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'];
+
+const openingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: { type: Number, required: true, min: 0, max: 6 },
+  open: { type: String, required: true, match: TIME_MATCH },
+  close: { type: String, required: true, match: TIME_MATCH }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  date: { type: String, required: true, match: DATE_MATCH },
+  reason: { type: String, trim: true }
+}, { _id: false });
+
+// Store pickup schedule (single document, _id 'default'). Days missing from
+// weeklyHours are closed. All times are store-local (IST).
+const pickupScheduleSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'default'
+  },
+  weeklyHours: {
+    type: [openingHoursSchema],
+    default: () => [1, 2, 3, 4, 5, 6].map((day) => ({ day, open: '10:00', close: '20:00' }))
+  },
+  slotMinutes: {
+    type: Number,
+    default: 60,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [480, 'Slots cannot be longer than 8 hours']
+  },
+  capacityPerSlot: {
+    type: Number,
+    default: 5,
+    min: [1, 'Capacity must be at least 1']
+  },
+  // How far ahead customers may book, and the minimum notice before a slot starts
+  maxAdvanceDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Must allow booking at least 1 day ahead']
+  },
+  minLeadMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  holidays: [holidaySchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('PickupSchedule', pickupScheduleSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Per-slot counters and admin blocks. A document only exists once a slot has
+// been booked or blocked; slots without one are empty and open.
+const pickupSlotSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Overrides PickupSchedule.capacityPerSlot for this slot
+  capacity: {
+    type: Number,
+    min: 0
+  },
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  blockReason: {
+    type: String,
+    trim: true
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pickupSlotSchema.index({ date: 1, start: 1 }, { unique: true });
+
+export default mongoose.model('PickupSlot', pickupSlotSchema);
@@ -1,4 +1,78 @@
 import mongoose from 'mongoose';
+import { emitWebhookEvent, productPayload } from '../utils/webhooks.js';
+import { buildSearchIndex } from '../utils/searchIndex.js';
+import { variantProblems } from '../utils/variants.js';
+import { captureBefore, recordProductChange } from '../utils/productHistory.js';
+import { sortImages } from '../utils/productImages.js';
+
+// A product or variant image. Lists are kept in sortOrder (see the validate
+// hook below); the first image is the primary one.
+const imageSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Image URL is required']
+    },
+    // Cloudinary public ID, for deletion
+    publicId: String,
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Alt text cannot be more than 200 characters']
+    },
+    width: Number,
+    height: Number,
+    sortOrder: Number
+});
+
+// An option axis variants differ on, e.g. { name: 'RAM', values: ['8GB', '16GB'] }
+const variantOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Option name is required'],
+        trim: true,
+        maxlength: [30, 'Option name cannot be more than 30 characters']
+    },
+    values: [{
+        type: String,
+        trim: true,
+        maxlength: [50, 'Option value cannot be more than 50 characters']
+    }]
+}, { _id: false });
+
+// One build of a product (e.g. 16GB / 512GB) with its own SKU, price, stock and
+// images. `options` maps every axis in variantOptions to one of its values.
+// Bookings keep the variant's _id, so variants are deactivated, not deleted.
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [64, 'SKU cannot be more than 64 characters']
+    },
+    options: {
+        type: Map,
+        of: String,
+        required: [true, 'Variant options are required']
+    },
+    price: {
+        type: Number,
+        min: [0, 'Price cannot be negative']
+    },
+    originalPrice: {
+        type: Number,
+        min: [0, 'Original price cannot be negative']
+    },
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    images: [imageSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -7,6 +81,13 @@ const productSchema = new mongoose.Schema({
         trim: true,
         maxlength: [100, 'Product name cannot be more than 100 characters']
     },
+    // Stock-keeping unit; optional, unique when set. Bulk imports upsert by it.
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [64, 'SKU cannot be more than 64 characters']
+    },
     description: {
         type: String,
         required: [true, 'Product description is required'],
@@ -41,15 +122,7 @@ const productSchema = new mongoose.Schema({
         trim: true,
         maxlength: [100, 'Feature cannot be more than 100 characters']
     }],
-    // --- UPDATED FOR MULTIPLE IMAGES ---
-    images: [{ // Array of image URLs/paths
-        type: String,
-        required: [true, 'Product image is required'] // Schema level requirement
-    }],
-    imagePublicIds: [{ // Array of Cloudinary Public IDs for deletion
-        type: String
-    }],
-    // ------------------------------------
+    images: [imageSchema],
     price: {
         type: Number,
         min: [0, 'Price cannot be negative']
@@ -68,6 +141,10 @@ const productSchema = new mongoose.Schema({
         default: 1,
         min: [0, 'Stock cannot be negative']
     },
+    // Variants; when there are any, price/originalPrice/stock above are derived
+    // from the active ones (cheapest price, total stock) on save
+    variantOptions: [variantOptionSchema],
+    variants: [variantSchema],
     specifications: {
         brand: String,
         model: String,
@@ -94,10 +171,31 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Approved reviews only, maintained by utils/reviews.js
+    ratingAverage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5
+    },
+    ratingCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Autocomplete index (see utils/searchIndex.js), rebuilt on save
+    searchTokens: {
+        type: [String],
+        select: false
+    },
+    searchGrams: {
+        type: [String],
+        select: false
     }
 }, {
     timestamps: true
@@ -105,30 +203,107 @@ const productSchema = new mongoose.Schema({
 
 // Index for better query performance
 productSchema.index({ category: 1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ 'specifications.model': 1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ 'variants.price': 1 });
 productSchema.index({ condition: 1 });
 productSchema.index({ type: 1 });
 productSchema.index({ availability: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
 productSchema.index({ name: 'text', description: 'text', category: 'text' });
+productSchema.index({ searchTokens: 1 });
+productSchema.index({ searchGrams: 1 });
 
-// Virtual for formatted price
+// Virtual for formatted price ("From ..." when variants are priced differently)
 productSchema.virtual('formattedPrice').get(function() {
     if (this.price) {
-        return `₹${this.price.toLocaleString('en-IN')}`;
+        const prices = (this.variants || []).filter((v) => v.isActive && typeof v.price === 'number').map((v) => v.price);
+        const from = prices.some((p) => p !== this.price) ? 'From ' : '';
+        return `${from}₹${this.price.toLocaleString('en-IN')}`;
     }
     return 'Contact for price';
 });
 
-// Method to increment views
-productSchema.methods.incrementViews = function() {
-    this.views += 1;
-    return this.save();
-};
+productSchema.pre('validate', function(next) {
+    const problems = variantProblems(this);
+    if (problems.length) this.invalidate('variants', problems.join('; '));
+    next();
+});
 
-// Method to toggle like
-productSchema.methods.toggleLike = function() {
-    this.likes += 1;
-    return this.save();
+// Store images in sortOrder so images[0] (and $slice in queries) is the primary one
+const keepImagesSorted = (owner) => {
+    const ordered = sortImages(owner.images || []);
+    if (ordered.some((image, i) => image !== owner.images[i])) owner.images = ordered;
 };
+productSchema.pre('validate', function(next) {
+    keepImagesSorted(this);
+    (this.variants || []).forEach(keepImagesSorted);
+    next();
+});
+
+// Variant products are listed, filtered and sorted by their cheapest active
+// variant and sell from the variants' stock
+productSchema.pre('save', function(next) {
+    if (!this.variants?.length) return next();
+    const active = this.variants.filter((v) => v.isActive);
+    this.stock = active.reduce((sum, v) => sum + (v.stock || 0), 0);
+    const cheapest = active
+        .filter((v) => typeof v.price === 'number')
+        .sort((a, b) => a.price - b.price)[0];
+    if (cheapest) {
+        this.price = cheapest.price;
+        this.originalPrice = cheapest.originalPrice;
+    }
+    next();
+});
+
+// Flip availability automatically when an admin edits stock
+productSchema.pre('save', function(next) {
+    if (this.isModified('stock') && this.availability !== 'Discontinued') {
+        if (this.stock <= 0 && this.availability === 'Available') {
+            this.availability = 'Out of Stock';
+        } else if (this.stock > 0 && this.availability === 'Out of Stock') {
+            this.availability = 'Available';
+        }
+    }
+    // Remembered for the post-save webhook below
+    this.$locals.availabilityChanged = !this.isNew && this.isModified('availability');
+    next();
+});
+
+// Keep the autocomplete index in step with the fields it covers
+const SEARCHED_PATHS = ['name', 'description', 'category', 'tags', 'specifications.brand', 'specifications.model'];
+productSchema.pre('save', function(next) {
+    if (this.isNew || SEARCHED_PATHS.some((path) => this.isModified(path))) {
+        Object.assign(this, buildSearchIndex(this));
+    }
+    next();
+});
+
+// Change log (see utils/productHistory.js); registered last so derived price,
+// stock and availability changes are included
+productSchema.pre('save', async function() {
+    await captureBefore(this);
+});
+
+productSchema.post('save', async function(doc) {
+    await recordProductChange(doc);
+});
+
+// Stock webhooks for availability changes made through save()
+productSchema.post('save', async function(doc) {
+    if (!doc.$locals.availabilityChanged) return;
+    try {
+        if (doc.availability === 'Out of Stock') {
+            await emitWebhookEvent('product.out_of_stock', productPayload(doc), doc.$session());
+        } else if (doc.availability === 'Available') {
+            await emitWebhookEvent('product.back_in_stock', productPayload(doc), doc.$session());
+        }
+    } catch (error) {
+        console.error('Product webhook error:', error);
+    }
+});
 
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One saved edit of a product: which fields changed, from what to what, who
+// made it and when. Versions count up from 1 per product. Written by the
+// Product save hooks (see utils/productHistory.js), in the save's transaction.
+const fieldChangeSchema = new mongoose.Schema({
+  // Dotted path, e.g. 'price', 'specifications.brand', 'variants.<id>.stock'
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const productChangeSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'import', 'system'],
+    default: 'system'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [fieldChangeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+productChangeSchema.index({ productId: 1, version: -1 }, { unique: true });
+productChangeSchema.index({ productId: 1, 'changes.field': 1, createdAt: -1 });
+
+export default mongoose.model('ProductChange', productChangeSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One user's like of one product. Product.likes is the count of these rows,
+// kept in step by utils/likes.js.
+const productLikeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+productLikeSchema.index({ userId: 1, productId: 1 }, { unique: true });
+productLikeSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('ProductLike', productLikeSchema);
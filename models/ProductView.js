@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// One counted product view. A viewer (signed-in user, client session or
+// IP + user agent) is counted at most once per product per dedup window;
+// the unique index on (productId, viewerKey, window) enforces it.
+const productViewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // 'u:<userId>', 's:<session id>' or 'ip:<hash of IP + user agent>'
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Number of the dedup window the view fell in (epoch ms / window length)
+  window: {
+    type: Number,
+    required: true
+  },
+  // IST date key, matching ProductViewDaily
+  date: {
+    type: String,
+    required: true
+  },
+  referrer: String,
+  // Raw events are pruned by a TTL index; daily rollups keep the history
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+productViewSchema.index({ productId: 1, viewerKey: 1, window: 1 }, { unique: true });
+productViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ProductView', productViewSchema);
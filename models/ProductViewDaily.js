@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Counted views of one product on one IST day
+const productViewDailySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Views by signed-in users, the rest are anonymous sessions/IPs
+  userViews: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+productViewDailySchema.index({ productId: 1, date: 1 }, { unique: true });
+productViewDailySchema.index({ date: 1, views: -1 });
+
+export default mongoose.model('ProductViewDaily', productViewDailySchema);
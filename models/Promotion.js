@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, "-" or "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+
+  // Discount rule
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.discountType !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100%'
+    }
+  },
+  // Cap for percentage discounts (e.g. 10% off, max ₹2000)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+
+  // Scope - empty lists mean the whole catalogue
+  categories: [{
+    type: String,
+    enum: [
+      'Laptops', 'Desktops', 'Security', 'Accessories', 'Audio',
+      'Networking', 'Components', 'Monitors', 'Storage', 'Gaming'
+    ]
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+
+  // Conditions
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: Date,
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, endsAt: 1 });
+
+export default mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One use of a promotion by a booking. Released when the booking is cancelled
+// so the customer (and the global limit) gets the use back.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1 });
+
+export default mongoose.model('PromotionRedemption', promotionRedemptionSchema);
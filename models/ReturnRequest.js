@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'refunded'];
+export const RETURN_REASONS = ['defective', 'not_as_described', 'wrong_item', 'damaged', 'changed_mind', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [(v) => v.length > 0, 'At least one item must be returned']
+  },
+
+  // Customer side
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot be more than 1000 characters']
+  },
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+
+  // Admin side
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  inspectionNotes: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  refundType: {
+    type: String,
+    enum: ['full', 'partial']
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: Date
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+returnRequestSchema.index({ bookingId: 1 });
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// pending: waiting for an admin; approved: public and counted in the rating;
+// hidden: taken down by an admin
+export const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+// A verified buyer's review of one product from one completed booking
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Shown with the review (snapshot of the user's name when posted)
+  authorName: {
+    type: String,
+    trim: true
+  },
+
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: [Number.isInteger, 'Rating must be a whole number']
+  },
+  title: {
+    type: String,
+    required: [true, 'Review title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot be more than 2000 characters']
+  },
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+
+  // Moderation
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot be more than 500 characters']
+  },
+
+  // Public reply from the store
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot be more than 1000 characters']
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per product per booking (a cart order can review each of its products)
+reviewSchema.index({ bookingId: 1, productId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+reviewSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One event sent to one subscription, with the log of every attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastResponseStatus: Number,
+  lastResponseBody: String,
+  lastError: String,
+  deliveredAt: Date,
+  attemptLog: [attemptSchema]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.confirmed',
+  'booking.ready_for_pickup',
+  'booking.out_for_delivery',
+  'booking.completed',
+  'booking.cancelled',
+  'booking.returned',
+  'product.out_of_stock',
+  'product.back_in_stock',
+  'payment.captured',
+  'payment.failed',
+  'payment.refunded',
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // HMAC-SHA256 signing key; never returned except when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [(v) => v.length > 0, 'Subscribe to at least one event']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+export default mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,48 @@
+// routes/analytics.js
+import express from 'express';
+import { query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  getSalesSummary,
+  getSalesTimeseries,
+  getSalesByCategory,
+  getSalesByType,
+  getTopSellingProducts,
+  getMostCancelledProducts,
+  getFunnel,
+} from '../controllers/analyticsController.js';
+import { INTERVALS, TIMEZONES, BASES } from '../utils/analytics.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+const rangeRules = [
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('tz').optional().isIn(Object.keys(TIMEZONES)).withMessage(`tz must be one of: ${Object.keys(TIMEZONES).join(', ')}`),
+  query('basis').optional().isIn(Object.keys(BASES)).withMessage(`basis must be one of: ${Object.keys(BASES).join(', ')}`),
+];
+const limitRule = query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50');
+
+router.get('/summary', rangeRules, getSalesSummary);
+router.get(
+  '/sales',
+  [...rangeRules, query('interval').optional().isIn(INTERVALS).withMessage(`interval must be one of: ${INTERVALS.join(', ')}`)],
+  getSalesTimeseries
+);
+router.get('/sales/by-category', rangeRules, getSalesByCategory);
+router.get('/sales/by-type', rangeRules, getSalesByType);
+router.get(
+  '/products/top-selling',
+  [...rangeRules, limitRule, query('sort').optional().isIn(['units', 'revenue']).withMessage('sort must be units or revenue')],
+  getTopSellingProducts
+);
+router.get('/products/most-cancelled', [...rangeRules, limitRule], getMostCancelledProducts);
+router.get(
+  '/funnel',
+  [...rangeRules, query('groupBy').optional().isIn(['category']).withMessage('groupBy must be category')],
+  getFunnel
+);
+
+export default router;
@@ -1,22 +1,164 @@
 // routes/bookings.js
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { BOOKING_STATUSES, BOOKING_PAYMENT_STATUSES } from '../models/Booking.js';
 import {
   createBooking,
   getBookings,
   getBookingById,
   cancelBooking,
   completeBooking,
+  updateBookingStatus,
   getByCoupon,
+  getBookingInvoice,
+  previewExpiredBookings,
+  getBookingQrCode,
+  redeemCoupon,
+  exportBookings,
 } from '../controllers/bookingsController.js';
+import {
+  getSlotAvailability,
+  getPickupSchedule,
+  updatePickupSchedule,
+  blockSlots,
+  unblockSlots,
+} from '../controllers/slotsController.js';
+import { createReturnRequest } from '../controllers/returnsController.js';
+import { RETURN_REASONS } from '../models/ReturnRequest.js';
+import { uploadMultiple, handleUploadError } from '../config/cloudinary.js';
 
 const router = express.Router();
 
-router.post('/', authenticateToken, createBooking);
-router.get('/', authenticateToken, getBookings);
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Pickup slots (registered before '/:id' so 'slots' is not taken for an id)
+router.get(
+  '/slots',
+  [
+    query('from').optional().matches(DATE_KEY).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().matches(DATE_KEY).withMessage('to must be YYYY-MM-DD'),
+  ],
+  getSlotAvailability
+);
+router.get('/slots/schedule', authenticateToken, requireAdmin, getPickupSchedule);
+router.put(
+  '/slots/schedule',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('weeklyHours').optional().isArray(),
+    body('weeklyHours.*.day').optional().isInt({ min: 0, max: 6 }).withMessage('Day must be 0 (Sunday) to 6 (Saturday)'),
+    body('weeklyHours.*.open').optional().matches(TIME).withMessage('Opening time must be HH:mm'),
+    body('weeklyHours.*.close').optional().matches(TIME).withMessage('Closing time must be HH:mm'),
+    body('slotMinutes').optional().isInt({ min: 15, max: 480 }),
+    body('capacityPerSlot').optional().isInt({ min: 1 }),
+    body('maxAdvanceDays').optional().isInt({ min: 1 }),
+    body('minLeadMinutes').optional().isInt({ min: 0 }),
+    body('holidays').optional().isArray(),
+    body('holidays.*.date').optional().matches(DATE_KEY).withMessage('Holiday date must be YYYY-MM-DD'),
+  ],
+  updatePickupSchedule
+);
+router.post(
+  '/slots/block',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('date').matches(DATE_KEY).withMessage('date must be YYYY-MM-DD'),
+    body('start').optional().matches(TIME).withMessage('start must be HH:mm'),
+    body('reason').optional().isString().trim().isLength({ max: 200 }),
+  ],
+  blockSlots
+);
+router.delete(
+  '/slots/block',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('date').matches(DATE_KEY).withMessage('date must be YYYY-MM-DD'),
+    body('start').optional().matches(TIME).withMessage('start must be HH:mm'),
+  ],
+  unblockSlots
+);
+
+// Filters shared by the bookings list and the CSV export
+const listFilters = [
+  query('status').optional().isString(),
+  query('orderFrom').optional().isISO8601().withMessage('orderFrom must be a date'),
+  query('orderTo').optional().isISO8601().withMessage('orderTo must be a date'),
+  query('bookingFrom').optional().isISO8601().withMessage('bookingFrom must be a date'),
+  query('bookingTo').optional().isISO8601().withMessage('bookingTo must be a date'),
+  query('category').optional().isString(),
+  query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  query('paymentStatus').optional().isIn(BOOKING_PAYMENT_STATUSES).withMessage('Invalid payment status'),
+  query('search').optional().isString().withMessage('Search term must be a string').isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters'),
+];
+
+router.post('/', authenticateToken, idempotent, createBooking);
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('sort').optional().isString(),
+    ...listFilters,
+  ],
+  getBookings
+);
+router.get('/export', authenticateToken, requireAdmin, listFilters, exportBookings);
+router.get(
+  '/expiry/preview',
+  authenticateToken,
+  requireAdmin,
+  [query('graceDays').optional().isInt({ min: 0, max: 365 }).withMessage('Grace days must be between 0 and 365')],
+  previewExpiredBookings
+);
 router.get('/:id', authenticateToken, getBookingById);
-router.patch('/:id/cancel', authenticateToken, cancelBooking);
-router.patch('/:id/complete', authenticateToken, completeBooking);
+router.get('/:id/invoice', authenticateToken, getBookingInvoice);
+router.get(
+  '/:id/qr',
+  authenticateToken,
+  [param('id').isMongoId().withMessage('Invalid booking ID')],
+  getBookingQrCode
+);
+router.patch('/:id/cancel', authenticateToken, idempotent, cancelBooking);
+router.patch('/:id/complete', authenticateToken, idempotent, completeBooking);
+router.patch(
+  '/:id/status',
+  authenticateToken,
+  requireAdmin,
+  idempotent,
+  [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('status').isIn(BOOKING_STATUSES).withMessage(`Status must be one of: ${BOOKING_STATUSES.join(', ')}`),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  ],
+  updateBookingStatus
+);
+router.post(
+  '/:id/returns',
+  authenticateToken,
+  uploadMultiple, // optional photos in 'images' (max 5)
+  handleUploadError,
+  [
+    param('id').isMongoId().withMessage('Invalid booking ID'),
+    body('reason').isIn(RETURN_REASONS).withMessage(`Reason must be one of: ${RETURN_REASONS.join(', ')}`),
+    body('details').optional().isString().trim().isLength({ max: 1000 }).withMessage('Details cannot exceed 1000 characters'),
+  ],
+  createReturnRequest
+);
 router.get('/coupon/:couponCode', authenticateToken, getByCoupon);
+router.post(
+  '/coupon/:couponCode/redeem',
+  authenticateToken,
+  requireAdmin,
+  idempotent,
+  [body('allowEarly').optional().isBoolean().toBoolean()],
+  redeemCoupon
+);
 
 export default router;
@@ -0,0 +1,69 @@
+// routes/cart.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+} from '../controllers/cartController.js';
+import { PAYMENT_MODES } from '../models/Booking.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+
+router.post(
+  '/items',
+  [
+    body('productId').isMongoId().withMessage('Invalid product ID'),
+    body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+    body('quantity').optional().isInt({ min: 1, max: 50 }).withMessage('Quantity must be between 1 and 50'),
+  ],
+  addToCart
+);
+
+router.patch(
+  '/items/:productId',
+  [
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    query('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+    body('quantity').isInt({ min: 1, max: 50 }).withMessage('Quantity must be between 1 and 50'),
+  ],
+  updateCartItem
+);
+
+router.delete(
+  '/items/:productId',
+  [
+    param('productId').isMongoId().withMessage('Invalid product ID'),
+    query('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  ],
+  removeCartItem
+);
+
+router.post(
+  '/checkout',
+  idempotent,
+  [
+    body('customerName').trim().notEmpty().withMessage('Customer name is required'),
+    body('customerPhone').trim().notEmpty().withMessage('Phone number is required'),
+    body('customerAddress').trim().notEmpty().withMessage('Address is required'),
+    body('bookingDate').isISO8601().withMessage('A valid booking date is required'),
+    body('slotStart').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Please choose a pickup slot'),
+    body('totalAmount').optional().isFloat({ min: 0 }),
+    body('promoCode').optional().isString().trim().isLength({ max: 30 }).withMessage('Invalid promo code'),
+    body('paymentMode').optional().isIn(PAYMENT_MODES).withMessage(`Payment mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+    body('advanceAmount').optional().isFloat({ min: 1 }).withMessage('Advance amount must be at least ₹1'),
+  ],
+  checkout
+);
+
+export default router;
@@ -0,0 +1,26 @@
+// routes/notifications.js
+import express from 'express';
+import { query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getOutbox, retryNotification } from '../controllers/notificationsController.js';
+import { NOTIFICATION_CHANNELS } from '../models/Notification.js';
+
+const router = express.Router();
+
+router.get(
+  '/',
+  [
+    authenticateToken,
+    requireAdmin,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['pending', 'sending', 'sent', 'dead']).withMessage('Invalid status'),
+    query('channel').optional().isIn(NOTIFICATION_CHANNELS).withMessage('Invalid channel'),
+    query('bookingId').optional().isMongoId().withMessage('Invalid booking ID'),
+  ],
+  getOutbox
+);
+
+router.post('/:id/retry', [authenticateToken, requireAdmin], retryNotification);
+
+export default router;
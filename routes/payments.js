@@ -0,0 +1,96 @@
+// routes/payments.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  createOrder,
+  verifyPayment,
+  reportPaymentFailure,
+  gatewayWebhook,
+  mockCheckout,
+  getBookingPayments,
+  listPayments,
+  refundPaymentById,
+} from '../controllers/paymentsController.js';
+import { PAYMENT_STATUSES } from '../models/Payment.js';
+
+const router = express.Router();
+
+const orderIdRule = body('orderId').isString().trim().notEmpty().withMessage('Order ID is required');
+
+// Called by the gateway, authenticated by its signature instead of a token
+router.post('/webhook/:gateway', gatewayWebhook);
+
+router.post(
+  '/orders',
+  authenticateToken,
+  idempotent,
+  [body('bookingId').isMongoId().withMessage('Invalid booking ID')],
+  createOrder
+);
+
+router.post(
+  '/verify',
+  authenticateToken,
+  [
+    orderIdRule,
+    body('paymentId').isString().trim().notEmpty().withMessage('Payment ID is required'),
+    body('signature').isString().trim().notEmpty().withMessage('Signature is required'),
+  ],
+  verifyPayment
+);
+
+router.post(
+  '/failure',
+  authenticateToken,
+  [
+    orderIdRule,
+    body('paymentId').optional().isString().trim(),
+    body('reason').optional().isString().trim().isLength({ max: 300 }),
+  ],
+  reportPaymentFailure
+);
+
+router.post(
+  '/mock/checkout',
+  authenticateToken,
+  [orderIdRule, body('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure')],
+  mockCheckout
+);
+
+router.get(
+  '/booking/:bookingId',
+  authenticateToken,
+  [param('bookingId').isMongoId().withMessage('Invalid booking ID')],
+  getBookingPayments
+);
+
+router.get(
+  '/',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(PAYMENT_STATUSES).withMessage('Invalid status'),
+    query('gateway').optional().isString(),
+    query('bookingId').optional().isMongoId().withMessage('Invalid booking ID'),
+  ],
+  listPayments
+);
+
+router.post(
+  '/:id/refund',
+  authenticateToken,
+  requireAdmin,
+  idempotent,
+  [
+    param('id').isMongoId().withMessage('Invalid payment ID'),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be positive'),
+    body('reason').optional().isString().trim().isLength({ max: 300 }),
+  ],
+  refundPaymentById
+);
+
+export default router;
@@ -10,19 +10,37 @@ import {
   deleteProduct,
   incrementView,
   likeProduct,
+  unlikeProduct,
+  getProductFacets,
+  suggest,
+  getProductViewTrend,
+  getTrendingProducts,
+  importProducts,
+  exportProducts,
+  getProductHistory,
+  getPriceHistory,
+  reorderProductImages,
+  setPrimaryProductImage,
+  updateProductImage,
+  deleteProductImage,
 } from '../controllers/productsController.js';
+import { getProductReviews, createReview } from '../controllers/reviewsController.js';
 
-import { uploadMultiple, handleUploadError } from '../config/cloudinary.js';
+import { productCreateRules, skuRule } from '../utils/productValidation.js';
+import { uploadMultiple, uploadImportFiles, handleUploadError } from '../config/cloudinary.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/products
- * @desc    List products with filters, search & pagination
+ * @desc    List products with filters, search & pagination. Products with
+ *          variants match minPrice/maxPrice on any active variant and sort by
+ *          their cheapest one.
  * @access  Public
  */
 router.get(
   '/',
+  optionalAuth,
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -33,27 +51,103 @@ router.get(
     query('availability').optional().isString(),
     query('minPrice').optional().isFloat({ min: 0 }),
     query('maxPrice').optional().isFloat({ min: 0 }),
+    query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('minRating must be between 0 and 5'),
     query('search').optional().isString(),
     query('isActive').optional().isBoolean().toBoolean(),
     query('tags').optional().isString(),
+    query('brand').optional().isString(),
     query('fields').optional().isString(),
+    query('facets').optional().isBoolean().toBoolean(),
+    query('priceBuckets').optional().matches(/^\d+(\.\d+)?(,\d+(\.\d+)?)*$/).withMessage('priceBuckets must be comma-separated prices'),
   ],
   listProducts
 );
 
+/**
+ * @route   GET /api/products/facets
+ * @desc    Facet counts (category, condition, type, availability, brand, tags, price buckets)
+ *          for the same filters as the listing; each facet ignores its own selection
+ * @access  Public
+ */
+router.get(
+  '/facets',
+  [
+    query('category').optional().isString(),
+    query('condition').optional().isString(),
+    query('type').optional().isString(),
+    query('availability').optional().isString(),
+    query('brand').optional().isString(),
+    query('tags').optional().isString(),
+    query('minPrice').optional().isFloat({ min: 0 }),
+    query('maxPrice').optional().isFloat({ min: 0 }),
+    query('minRating').optional().isFloat({ min: 0, max: 5 }),
+    query('search').optional().isString(),
+    query('isActive').optional().isBoolean().toBoolean(),
+    query('priceBuckets').optional().matches(/^\d+(\.\d+)?(,\d+(\.\d+)?)*$/).withMessage('priceBuckets must be comma-separated prices'),
+  ],
+  getProductFacets
+);
+
+/**
+ * @route   GET /api/products/suggest
+ * @desc    Autocomplete: ranked products, brands, models and tags for ?q=
+ *          (prefix and typo tolerant)
+ * @access  Public
+ */
+router.get(
+  '/suggest',
+  [
+    query('q').optional().isString().isLength({ max: 100 }).withMessage('Query cannot be more than 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  ],
+  suggest
+);
+
+/**
+ * @route   GET /api/products/trending
+ * @desc    Most viewed active products over the last ?days (default 7), with
+ *          the previous period's views and growth
+ * @access  Public
+ */
+router.get(
+  '/trending',
+  [
+    query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('category').optional().isString(),
+  ],
+  getTrendingProducts
+);
+
+/**
+ * @route   GET /api/products/export
+ * @desc    Download products matching the listing filters as CSV or JSON, in
+ *          the format POST /api/products/import reads
+ * @access  Private (Admin)
+ */
+router.get(
+  '/export',
+  authenticateToken,
+  requireAdmin,
+  [query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json')],
+  exportProducts
+);
+
 /**
  * @route   GET /api/products/:id
  * @access  Public
  */
 router.get(
   '/:id',
+  optionalAuth,
   [param('id').isString().withMessage('Invalid id')],
   getProduct
 );
 
 /**
  * @route   POST /api/products
- * @desc    Create product (with images)
+ * @desc    Create product (with images). Optional variantOptions and variants
+ *          (JSON) define builds with their own sku, price, stock and images.
  * @access  Private (Admin)
  */
 router.post(
@@ -62,24 +156,34 @@ router.post(
   requireAdmin,
   uploadMultiple,              // multer for 'images' field (max 5) per your config
   handleUploadError,
+  productCreateRules,
+  createProduct
+);
+
+/**
+ * @route   POST /api/products/import
+ * @desc    Bulk create/update products from a CSV or JSON sheet ('file') with
+ *          image URLs or a zip of images ('images'); upserts by sku, else
+ *          model. ?dryRun=true only validates and reports per-row errors.
+ * @access  Private (Admin)
+ */
+router.post(
+  '/import',
+  authenticateToken,
+  requireAdmin,
+  uploadImportFiles,
+  handleUploadError,
   [
-    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Product name is required (2-100 chars)'),
-    body('description').trim().isLength({ min: 5, max: 1000 }).withMessage('Description is required (5-1000 chars)'),
-    body('category').isIn(['Laptops','Desktops','Security','Accessories','Audio','Networking','Components','Monitors','Storage','Gaming']).withMessage('Invalid category'),
-    body('condition').isIn(['New','Excellent','Very Good','Good','Fair']).withMessage('Invalid condition'),
-    body('type').isIn(['Second Hand','New/Refurbished','Spare Parts','Refurbished']).withMessage('Invalid type'),
-    body('availability').optional().isIn(['Available','Out of Stock','Discontinued']).withMessage('Invalid availability'),
-    body('price').optional().isFloat({ min: 0 }),
-    body('originalPrice').optional().isFloat({ min: 0 }),
-    body('discount').optional().isFloat({ min: 0, max: 100 }),
-    body('stock').optional().isInt({ min: 0 }),
+    query('dryRun').optional().isBoolean().toBoolean(),
+    query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
   ],
-  createProduct
+  importProducts
 );
 
 /**
  * @route   PUT /api/products/:id
- * @desc    Update product; can add new images and/or remove via body.removePublicIds
+ * @desc    Update product; can add new images and/or remove some via
+ *          body.removePublicIds (Cloudinary public IDs or image _ids)
  * @access  Private (Admin)
  */
 router.put(
@@ -97,6 +201,7 @@ router.put(
     body('stock').optional().isInt({ min: 0 }),
     body('isActive').optional().isBoolean().toBoolean(),
     body('removePublicIds').optional(),
+    skuRule(),
   ],
   updateProduct
 );
@@ -115,17 +220,181 @@ router.delete(
 );
 
 /**
- * @route   PATCH /api/products/:id/view
- * @desc    Increment views
+ * @route   PUT /api/products/:id/images/order
+ * @desc    Reorder images: { imageIds } lists every image once, primary first
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/images/order',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id').isString(),
+    body('imageIds').isArray({ min: 1 }).withMessage('imageIds must be a non-empty array'),
+    body('imageIds.*').isMongoId().withMessage('Invalid image ID'),
+  ],
+  reorderProductImages
+);
+
+/**
+ * @route   PUT /api/products/:id/images/:imageId/primary
+ * @desc    Make an image the primary (first) image
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/images/:imageId/primary',
+  authenticateToken,
+  requireAdmin,
+  [param('id').isString(), param('imageId').isString()],
+  setPrimaryProductImage
+);
+
+/**
+ * @route   PATCH /api/products/:id/images/:imageId
+ * @desc    Edit an image's alt text ({ alt }; empty clears it)
+ * @access  Private (Admin)
+ */
+router.patch(
+  '/:id/images/:imageId',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id').isString(),
+    param('imageId').isString(),
+    body('alt').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('Alt text cannot be more than 200 characters'),
+  ],
+  updateProductImage
+);
+
+/**
+ * @route   DELETE /api/products/:id/images/:imageId
+ * @desc    Delete one image (from the product and Cloudinary); not the last one
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:id/images/:imageId',
+  authenticateToken,
+  requireAdmin,
+  [param('id').isString(), param('imageId').isString()],
+  deleteProductImage
+);
+
+/**
+ * @route   PATCH|POST /api/products/:id/view
+ * @desc    Record a view, deduplicated per user (or IP + user agent) within
+ *          PRODUCT_VIEW_DEDUP_MINUTES; bots are ignored
  * @access  Public (optional auth)
  */
 router.patch('/:id/view', optionalAuth, [param('id').isString()], incrementView);
+router.post('/:id/view', optionalAuth, [param('id').isString()], incrementView);
+
+/**
+ * @route   GET /api/products/:id/views
+ * @desc    Daily view counts (IST) for ?from&to, default the last 30 days
+ * @access  Private/Admin
+ */
+router.get(
+  '/:id/views',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id').isString(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO date'),
+  ],
+  getProductViewTrend
+);
+
+/**
+ * @route   GET /api/products/:id/history
+ * @desc    Versioned change log: changed fields with old/new values, who made
+ *          the edit and when. ?field filters by path (e.g. price, specifications)
+ * @access  Private/Admin
+ */
+router.get(
+  '/:id/history',
+  authenticateToken,
+  requireAdmin,
+  [
+    param('id').isString(),
+    query('field').optional().isString().isLength({ max: 100 }),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  getProductHistory
+);
+
+/**
+ * @route   GET /api/products/:id/price-history
+ * @desc    Daily lowest price (IST) over the last ?days (default 30) for the
+ *          product or ?variantId, with the period's lowest/highest price
+ * @access  Public
+ */
+router.get(
+  '/:id/price-history',
+  [
+    param('id').isString(),
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+    query('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  ],
+  getPriceHistory
+);
 
 /**
  * @route   POST /api/products/:id/like
- * @desc    Increment likes
- * @access  Public (optional auth)
+ * @desc    Toggle the user's like (or set it with { liked: true|false })
+ * @access  Private
+ */
+router.post(
+  '/:id/like',
+  authenticateToken,
+  [param('id').isString(), body('liked').optional().isBoolean().withMessage('liked must be a boolean').toBoolean()],
+  likeProduct
+);
+
+/**
+ * @route   DELETE /api/products/:id/like
+ * @desc    Remove the user's like
+ * @access  Private
  */
-router.post('/:id/like', optionalAuth, [param('id').isString()], likeProduct);
+router.delete('/:id/like', authenticateToken, [param('id').isString()], unlikeProduct);
+
+/**
+ * @route   GET /api/products/:id/reviews
+ * @desc    Approved reviews with rating summary and star distribution
+ * @access  Public
+ */
+router.get(
+  '/:id/reviews',
+  [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('sort').optional().isIn(['newest', 'oldest', 'highest', 'lowest']).withMessage('Invalid sort'),
+    query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    query('withPhotos').optional().isBoolean().toBoolean(),
+  ],
+  getProductReviews
+);
+
+/**
+ * @route   POST /api/products/:id/reviews
+ * @desc    Review a product from a completed booking (optional photos in 'images')
+ * @access  Private (verified buyers)
+ */
+router.post(
+  '/:id/reviews',
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  [
+    param('id').isMongoId().withMessage('Invalid product ID'),
+    body('bookingId').optional().isMongoId().withMessage('Invalid booking ID'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+    body('title').trim().isLength({ min: 2, max: 100 }).withMessage('Title is required (2-100 chars)'),
+    body('text').optional().trim().isLength({ max: 2000 }).withMessage('Review cannot be more than 2000 characters'),
+  ],
+  createReview
+);
 
 export default router;
@@ -0,0 +1,101 @@
+// routes/promotions.js
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  validatePromotion,
+} from '../controllers/promotionsController.js';
+
+const router = express.Router();
+
+const CATEGORIES = ['Laptops','Desktops','Security','Accessories','Audio','Networking','Components','Monitors','Storage','Gaming'];
+
+// Shared rules for create (required) and update (all optional)
+const promotionRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Promo code must be 3-30 letters, digits, "-" or "_"'),
+    field('discountType').isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+    field('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+    body('description').optional().isString().trim().isLength({ max: 300 }),
+    body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('categories').optional().isArray(),
+    body('categories.*').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+    body('products').optional().isArray(),
+    body('products.*').optional().isMongoId().withMessage('Invalid product ID'),
+    body('minOrderValue').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Invalid start date'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date'),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('perUserLimit').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('isActive').optional().isBoolean().toBoolean(),
+  ];
+};
+
+/**
+ * @route   POST /api/promotions/validate
+ * @desc    Check a promo code against a product ({ productId, variantId, quantity }) or the cart
+ * @access  Private
+ */
+router.post(
+  '/validate',
+  authenticateToken,
+  [
+    body('code').isString().trim().notEmpty().withMessage('Promo code is required'),
+    body('productId').optional().isMongoId().withMessage('Invalid product ID'),
+    body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ],
+  validatePromotion
+);
+
+/**
+ * @route   GET /api/promotions
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('isActive').optional().isBoolean(),
+    query('search').optional().isString(),
+  ],
+  listPromotions
+);
+
+router.get('/:id', authenticateToken, requireAdmin, getPromotion);
+
+/**
+ * @route   POST /api/promotions
+ * @access  Private (Admin)
+ */
+router.post('/', authenticateToken, requireAdmin, promotionRules(false), createPromotion);
+
+/**
+ * @route   PUT /api/promotions/:id
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid promotion ID'), ...promotionRules(true)],
+  updatePromotion
+);
+
+/**
+ * @route   DELETE /api/promotions/:id
+ * @desc    Soft delete (isActive=false)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', authenticateToken, requireAdmin, deletePromotion);
+
+export default router;
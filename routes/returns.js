@@ -0,0 +1,72 @@
+// routes/returns.js
+import express from 'express';
+import { body, query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  listReturns,
+  getMyReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  refundReturn,
+} from '../controllers/returnsController.js';
+import { RETURN_STATUSES } from '../models/ReturnRequest.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/returns
+ * @desc    Return queue (defaults to open requests)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().custom((value) =>
+      String(value).split(',').every((s) => RETURN_STATUSES.includes(s.trim()))
+    ).withMessage(`Status must be one of: ${RETURN_STATUSES.join(', ')}`),
+  ],
+  listReturns
+);
+
+router.get('/mine', getMyReturns);
+router.get('/:id', getReturn);
+
+router.patch(
+  '/:id/approve',
+  requireAdmin,
+  idempotent,
+  [body('inspectionNotes').optional().isString().trim().isLength({ max: 1000 })],
+  approveReturn
+);
+
+router.patch(
+  '/:id/reject',
+  requireAdmin,
+  idempotent,
+  [
+    body('reason').isString().trim().notEmpty().withMessage('Rejection reason is required'),
+    body('inspectionNotes').optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  rejectReturn
+);
+
+router.patch(
+  '/:id/refund',
+  requireAdmin,
+  idempotent,
+  [
+    body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+    body('restock').optional().isBoolean(),
+    body('inspectionNotes').optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  refundReturn
+);
+
+export default router;
@@ -0,0 +1,51 @@
+// routes/reviews.js
+import express from 'express';
+import { body, query } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  getMyReviews,
+  listReviews,
+  approveReview,
+  hideReview,
+  replyToReview,
+  deleteReview,
+} from '../controllers/reviewsController.js';
+import { REVIEW_STATUSES } from '../models/Review.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/reviews
+ * @desc    Moderation queue (defaults to pending reviews)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(REVIEW_STATUSES).withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+    query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+    query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  ],
+  listReviews
+);
+
+router.get('/mine', getMyReviews);
+
+const noteRule = body('note').optional().isString().trim().isLength({ max: 500 });
+
+router.patch('/:id/approve', requireAdmin, [noteRule], approveReview);
+router.patch('/:id/hide', requireAdmin, [noteRule], hideReview);
+router.put(
+  '/:id/reply',
+  requireAdmin,
+  [body('text').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Reply is required (max 1000 chars)')],
+  replyToReview
+);
+router.delete('/:id', deleteReview);
+
+export default router;
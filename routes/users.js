@@ -9,6 +9,8 @@ import {
   deleteUser,
   getStatsOverview,
 } from '../controllers/usersController.js';
+import { getMyNotifications } from '../controllers/notificationsController.js';
+import { getMyWishlist } from '../controllers/productsController.js';
 
 const router = express.Router();
 
@@ -25,6 +27,27 @@ router.get(
   getUsers
 );
 
+// Signed-in user's own data (registered before '/:id')
+router.get(
+  '/me/notifications',
+  [
+    authenticateToken,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ],
+  getMyNotifications
+);
+
+router.get(
+  '/me/wishlist',
+  [
+    authenticateToken,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  ],
+  getMyWishlist
+);
+
 router.get('/:id', [authenticateToken, requireAdmin], getUserById);
 
 router.put(
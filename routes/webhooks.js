@@ -0,0 +1,72 @@
+// routes/webhooks.js
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliverDelivery,
+} from '../controllers/webhooksController.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookSubscription.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+const urlRule = (chain) => chain.isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('Webhook URL must be an http(s) URL');
+const eventsRule = (chain) =>
+  chain
+    .isArray({ min: 1 })
+    .withMessage('Subscribe to at least one event')
+    .custom((events) => events.every((e) => WEBHOOK_EVENTS.includes(e)))
+    .withMessage(`Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`);
+
+router.get('/', listWebhooks);
+
+router.post(
+  '/',
+  [
+    urlRule(body('url')),
+    eventsRule(body('events')),
+    body('description').optional().isString().trim().isLength({ max: 200 }),
+    body('secret').optional().isString().isLength({ min: 16, max: 200 }).withMessage('Secret must be 16-200 characters'),
+    body('isActive').optional().isBoolean().toBoolean(),
+  ],
+  createWebhook
+);
+
+router.post('/deliveries/:deliveryId/redeliver', redeliverDelivery);
+
+router.get('/:id', getWebhook);
+
+router.put(
+  '/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    urlRule(body('url').optional()),
+    eventsRule(body('events').optional()),
+    body('description').optional().isString().trim().isLength({ max: 200 }),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('rotateSecret').optional().isBoolean().toBoolean(),
+  ],
+  updateWebhook
+);
+
+router.delete('/:id', deleteWebhook);
+
+router.get(
+  '/:id/deliveries',
+  [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['pending', 'sending', 'succeeded', 'failed']).withMessage('Invalid status'),
+  ],
+  listDeliveries
+);
+
+export default router;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { buildSearchIndex } from '../utils/searchIndex.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Fill searchTokens/searchGrams for products saved before autocomplete existed
+// (safe to re-run; new and edited products are indexed on save)
+const buildIndex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone');
+    console.log('Connected to MongoDB');
+
+    const cursor = Product.find()
+      .select('name description category tags specifications')
+      .lean()
+      .cursor();
+
+    let ops = [];
+    let updated = 0;
+    for await (const product of cursor) {
+      ops.push({ updateOne: { filter: { _id: product._id }, update: { $set: buildSearchIndex(product) } } });
+      if (ops.length === BATCH_SIZE) {
+        await Product.bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      await Product.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+    }
+
+    console.log(`Search index built for ${updated} products`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error building search index:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+buildIndex();
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { imagesFromLegacy } from '../utils/productImages.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+// Convert the old parallel images / imagePublicIds arrays (on products and
+// their variants) into image sub-documents. Safe to re-run; converted products
+// are skipped. --dry-run reports what would change without writing.
+const migrateImages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone');
+    console.log('Connected to MongoDB');
+
+    // Raw documents: the schema no longer describes the old shape
+    const cursor = Product.collection.find(
+      {
+        $or: [
+          { images: { $type: 'string' } },
+          { imagePublicIds: { $exists: true } },
+          { 'variants.images': { $type: 'string' } },
+          { 'variants.imagePublicIds': { $exists: true } },
+        ],
+      },
+      { projection: { name: 1, images: 1, imagePublicIds: 1, variants: 1 } }
+    );
+
+    const withIds = (images) => images.map((image) => ({ _id: new mongoose.Types.ObjectId(), ...image }));
+
+    let ops = [];
+    let converted = 0;
+    for await (const product of cursor) {
+      const { images, dropped } = imagesFromLegacy(product.images, product.imagePublicIds);
+      const $set = { images: withIds(images) };
+      if (product.variants?.length) {
+        $set.variants = product.variants.map(({ imagePublicIds, ...variant }) => ({
+          ...variant,
+          images: withIds(imagesFromLegacy(variant.images, imagePublicIds).images),
+        }));
+      }
+      if (dropped.length) {
+        console.log(`${product._id} (${product.name}): dropping ${dropped.length} image(s) whose file was already deleted`);
+      }
+
+      ops.push({ updateOne: { filter: { _id: product._id }, update: { $set, $unset: { imagePublicIds: '' } } } });
+      if (ops.length === BATCH_SIZE) {
+        if (!dryRun) await Product.collection.bulkWrite(ops, { ordered: false });
+        converted += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      if (!dryRun) await Product.collection.bulkWrite(ops, { ordered: false });
+      converted += ops.length;
+    }
+
+    console.log(`${dryRun ? 'Would convert' : 'Converted'} images of ${converted} products`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating product images:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateImages();
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductLike from '../models/ProductLike.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Set Product.likes to the number of ProductLike rows. Counts from the old
+// anonymous +1 endpoint had no rows behind them and are reset by this.
+// Safe to re-run; only products whose count is off are written.
+const recountLikes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone');
+    console.log('Connected to MongoDB');
+
+    const counts = await ProductLike.aggregate([{ $group: { _id: '$productId', likes: { $sum: 1 } } }]);
+    const likesById = new Map(counts.map((c) => [String(c._id), c.likes]));
+
+    const cursor = Product.find().select('likes').lean().cursor();
+
+    let ops = [];
+    let updated = 0;
+    for await (const product of cursor) {
+      const likes = likesById.get(String(product._id)) || 0;
+      if (product.likes === likes) continue;
+      ops.push({ updateOne: { filter: { _id: product._id }, update: { $set: { likes } } } });
+      if (ops.length === BATCH_SIZE) {
+        await Product.bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      await Product.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+    }
+
+    console.log(`Like counts corrected on ${updated} products`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error recounting likes:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+recountLikes();
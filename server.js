@@ -14,12 +14,24 @@ import authRoutes from './routes/auth.js';
 import productRoutes from './routes/products.js'; // your existing file
 import userRoutes from './routes/users.js';
 import bookingRoutes from './routes/bookings.js';
+import cartRoutes from './routes/cart.js';
+import promotionRoutes from './routes/promotions.js';
+import returnRoutes from './routes/returns.js';
+import notificationRoutes from './routes/notifications.js';
+import webhookRoutes from './routes/webhooks.js';
+import paymentRoutes from './routes/payments.js';
+import analyticsRoutes from './routes/analytics.js';
+import reviewRoutes from './routes/reviews.js';
 
 // Load environment variables
 dotenv.config();
 
 // Start keep-alive scheduler (no logs, silent)
 import './utils/keepAlive.js';
+import { scheduleBookingExpiry } from './utils/bookingExpiry.js';
+import { scheduleNotificationWorker } from './utils/notificationWorker.js';
+import { scheduleWebhookWorker } from './utils/webhookWorker.js';
+import { schedulePaymentTimeout } from './utils/paymentTimeout.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,6 +39,13 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer / reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is
+// the client's address; the rate limiter and view deduplication rely on it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(
   helmet({
@@ -65,7 +84,15 @@ app.use(
 app.use(compression());
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Payment gateways sign the exact bytes they send
+    verify(req, res, buf) {
+      if (req.originalUrl.startsWith('/api/payments/webhook/')) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static
@@ -84,6 +111,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes); // unchanged
 app.use('/api/users', userRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health
 app.get('/api/health', (req, res) => {
@@ -112,6 +147,10 @@ mongoose
   .connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/globalitzone')
   .then(() => {
     console.log('Connected to MongoDB');
+    scheduleBookingExpiry();
+    scheduleNotificationWorker();
+    scheduleWebhookWorker();
+    schedulePaymentTimeout();
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,119 @@
+// utils/analytics.js
+// Building blocks for the admin sales analytics: date ranges, time buckets
+// (UTC or IST) and a pipeline stage that turns every booking, single-product or
+// cart order, into one row per line item with its share of the order revenue.
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+export const TIMEZONES = {
+  utc: { name: 'UTC', offset: 'Z', minutes: 0 },
+  ist: { name: 'Asia/Kolkata', offset: '+05:30', minutes: 330 },
+};
+
+// Which bookings count as sales, and the date they are counted on:
+// booked   - every order not cancelled/returned, by order date
+// completed - orders handed over, by completion date
+export const BASES = {
+  booked: { statuses: ['confirmed', 'ready_for_pickup', 'out_for_delivery', 'completed'], dateField: 'orderDate' },
+  completed: { statuses: ['completed'], dateField: 'completedAt' },
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// [start, end] of the requested range. Plain dates cover whole days in the
+// chosen timezone; the default is the last 30 days.
+export const resolveRange = ({ from, to, tz = 'utc' } = {}, now = new Date()) => {
+  const zone = TIMEZONES[tz] || TIMEZONES.utc;
+  const end = to
+    ? new Date(DATE_ONLY.test(to) ? `${to}T23:59:59.999${zone.offset}` : to)
+    : now;
+  const start = from
+    ? new Date(DATE_ONLY.test(from) ? `${from}T00:00:00.000${zone.offset}` : from)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { start, end, zone };
+};
+
+// $match for sales in `range` on the given basis
+export const salesMatch = (range, basis = 'booked') => {
+  const { statuses, dateField } = BASES[basis] || BASES.booked;
+  return { status: { $in: statuses }, [dateField]: { $gte: range.start, $lte: range.end } };
+};
+
+// Revenue kept from a booking: what the customer paid less any refund
+export const netRevenueExpr = { $subtract: ['$totalAmount', { $ifNull: ['$refundAmount', 0] }] };
+
+// One document per line item: { bookingId, productId, productName, productCategory,
+// quantity, revenue }. Order-level promo discounts and refunds are spread over
+// the lines in proportion to their value.
+export const lineItemStages = () => [
+  {
+    $project: {
+      netRevenue: netRevenueExpr,
+      grossAmount: { $ifNull: ['$subtotalAmount', '$totalAmount'] },
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+          '$items',
+          [
+            {
+              productId: '$productId',
+              productName: '$productName',
+              productCategory: '$productCategory',
+              quantity: '$quantity',
+              totalAmount: '$totalAmount',
+            },
+          ],
+        ],
+      },
+    },
+  },
+  { $unwind: '$lines' },
+  {
+    $project: {
+      bookingId: '$_id',
+      productId: '$lines.productId',
+      productName: '$lines.productName',
+      productCategory: '$lines.productCategory',
+      quantity: '$lines.quantity',
+      revenue: {
+        $cond: [
+          { $gt: ['$grossAmount', 0] },
+          { $multiply: ['$lines.totalAmount', { $divide: ['$netRevenue', '$grossAmount'] }] },
+          0,
+        ],
+      },
+    },
+  },
+];
+
+// Start of the bucket `date` falls in, as an aggregation expression
+export const bucketExpr = (dateField, interval, zone) => ({
+  $dateTrunc: { date: `$${dateField}`, unit: interval, timezone: zone.name, startOfWeek: 'monday' },
+});
+
+// 'YYYY-MM-DD' label of a bucket start, in the zone
+export const bucketLabelExpr = (expr, zone) => ({ $dateToString: { date: expr, format: '%Y-%m-%d', timezone: zone.name } });
+
+// Every bucket label between start and end, so charts get zero rows for quiet periods
+export const bucketLabels = (range, interval) => {
+  const shift = range.zone.minutes * 60 * 1000;
+  const cursor = new Date(range.start.getTime() + shift);
+  cursor.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+  if (interval === 'month') cursor.setUTCDate(1);
+
+  const last = range.end.getTime() + shift;
+  const labels = [];
+  while (cursor.getTime() <= last && labels.length < 1000) {
+    labels.push(cursor.toISOString().slice(0, 10));
+    if (interval === 'day') cursor.setUTCDate(cursor.getUTCDate() + 1);
+    else if (interval === 'week') cursor.setUTCDate(cursor.getUTCDate() + 7);
+    else cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return labels;
+};
+
+// Percentage with two decimals; 0 when there is nothing to compare against
+export const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
@@ -0,0 +1,72 @@
+// utils/bookingExpiry.js
+// Auto-cancels bookings that were never collected: anything still confirmed or
+// ready for pickup BOOKING_EXPIRY_GRACE_DAYS after its bookingDate is cancelled
+// and its reserved stock released.
+
+import cron from 'node-cron';
+import Booking from '../models/Booking.js';
+import { transitionBooking } from './bookingStatus.js';
+
+export const EXPIRY_REASON = 'Expired – not collected';
+const EXPIRABLE_STATUSES = ['confirmed', 'ready_for_pickup'];
+
+export const getGraceDays = () => {
+  const days = Number(process.env.BOOKING_EXPIRY_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 3;
+};
+
+// Bookings whose pickup date is more than the grace period in the past
+export const findExpiredBookings = ({ now = new Date(), graceDays = getGraceDays() } = {}) => {
+  const cutoff = new Date(now.getTime() - graceDays * 24 * 60 * 60 * 1000);
+  return {
+    cutoff,
+    query: Booking.find({ status: { $in: EXPIRABLE_STATUSES }, bookingDate: { $lt: cutoff } }).sort({ bookingDate: 1 }),
+  };
+};
+
+// Cancel every expired booking. Failures are collected per booking so one bad
+// document does not stop the rest.
+export const expireBookings = async ({ now = new Date(), graceDays = getGraceDays() } = {}) => {
+  const { cutoff, query } = findExpiredBookings({ now, graceDays });
+  const bookings = await query;
+
+  const expired = [];
+  const failed = [];
+  for (const booking of bookings) {
+    try {
+      await transitionBooking(booking, 'cancelled', { reason: EXPIRY_REASON });
+      expired.push(booking._id);
+    } catch (error) {
+      failed.push({ bookingId: booking._id, error: error.message });
+    }
+  }
+
+  return { cutoff, graceDays, expired, failed };
+};
+
+let running = false;
+
+// Hourly by default; BOOKING_EXPIRY_CRON overrides, BOOKING_EXPIRY_ENABLED=false turns it off
+export const scheduleBookingExpiry = () => {
+  if (process.env.BOOKING_EXPIRY_ENABLED === 'false') return null;
+
+  return cron.schedule(
+    process.env.BOOKING_EXPIRY_CRON || '15 * * * *',
+    async () => {
+      if (running) return; // previous run still going
+      running = true;
+      try {
+        const { expired, failed } = await expireBookings();
+        if (expired.length || failed.length) {
+          console.log(`Booking expiry: ${expired.length} cancelled, ${failed.length} failed`);
+        }
+        failed.forEach((f) => console.error(`Booking expiry failed for ${f.bookingId}: ${f.error}`));
+      } catch (error) {
+        console.error('Booking expiry job error:', error);
+      } finally {
+        running = false;
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
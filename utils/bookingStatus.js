@@ -0,0 +1,122 @@
+// utils/bookingStatus.js
+// Single entry point for moving a booking through its lifecycle. Applies the
+// transition table from models/Booking.js, records statusHistory and keeps
+// reserved stock, pickup slots, promotion uses, invoices, customer
+// notifications and webhooks in step with the status, all in one transaction.
+
+import mongoose from 'mongoose';
+import Booking, { BOOKING_STATUSES, STATUS_TRANSITIONS } from '../models/Booking.js';
+import { releaseStock } from './stock.js';
+import { releasePromotion } from './promotions.js';
+import { issueInvoice } from './invoices.js';
+import { releaseSlot } from './pickupSlots.js';
+import { enqueueBookingNotification } from './notifications.js';
+import { emitWebhookEvent, bookingPayload } from './webhooks.js';
+import { refundBookingPayments } from './payments.js';
+import { HttpError } from './httpError.js';
+
+// Statuses that end a booking before the customer keeps the goods
+const RELEASES_STOCK = ['cancelled', 'returned'];
+
+export class BookingStatusError extends HttpError {}
+
+const label = (status) => status.replace(/_/g, ' ');
+
+// Throws a BookingStatusError describing why `booking` cannot move to `to`.
+// `viaReturn` is for the returns workflow only (see RETURN_TRANSITIONS).
+export const assertTransition = (booking, to, { viaReturn = false } = {}) => {
+  if (!BOOKING_STATUSES.includes(to)) {
+    throw new BookingStatusError(`Unknown booking status '${to}'`);
+  }
+  if (booking.status === to) {
+    throw new BookingStatusError(`Booking is already ${label(to)}`);
+  }
+  if (!viaReturn && !booking.canTransitionTo(to) && booking.canTransitionTo(to, { viaReturn: true })) {
+    throw new BookingStatusError(`A ${label(booking.status)} booking can only be ${label(to)} by refunding a return request`);
+  }
+  if (!booking.canTransitionTo(to, { viaReturn })) {
+    throw new BookingStatusError(
+      `Cannot change a ${label(booking.status)} booking to ${label(to)}`,
+      400,
+      { allowed: STATUS_TRANSITIONS[booking.status] || [] }
+    );
+  }
+};
+
+// Apply a status change inside the caller's transaction `session`. Use this when
+// the status change must commit together with other writes; otherwise use
+// transitionBooking. `updates` are extra fields saved with the status change.
+export const applyTransition = async (booking, to, { changedBy, reason, updates, viaReturn } = {}, session) => {
+  assertTransition(booking, to, { viaReturn });
+
+  if (RELEASES_STOCK.includes(to)) {
+    // Claim the reservation first so concurrent requests release stock only once
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, stockStatus: 'reserved' },
+      { $set: { stockStatus: 'released' } },
+      { session }
+    );
+    if (claimed.modifiedCount) {
+      for (const item of booking.getLineItems()) {
+        await releaseStock(item.productId, item.quantity, session, item.variantId);
+      }
+      booking.stockStatus = 'released';
+    }
+    const slotFreed = await Booking.updateOne(
+      { _id: booking._id, 'pickupSlot.held': true },
+      { $set: { 'pickupSlot.held': false } },
+      { session }
+    );
+    if (slotFreed.modifiedCount) {
+      await releaseSlot(booking.pickupSlot, session);
+      booking.pickupSlot.held = false;
+    }
+    if (to === 'cancelled' && booking.promotionId) {
+      await releasePromotion(booking._id, session);
+    }
+  } else if (to === 'completed') {
+    // Reserved units are now sold for good
+    if (booking.stockStatus === 'reserved') booking.stockStatus = 'fulfilled';
+    // Whatever was not paid online is collected at the counter on handover
+    booking.set({ amountPaid: booking.totalAmount, paymentStatus: 'paid' });
+  }
+
+  booking.$session(session);
+  if (updates) booking.set(updates);
+  await booking.updateStatus(to, { changedBy, reason, viaReturn });
+
+  // Numbered tax invoice, drawn in the same transaction to keep numbering gap-free
+  if (to === 'completed') await issueInvoice(booking, session);
+
+  // Customer notification and webhooks commit (or roll back) with the status change
+  await enqueueBookingNotification(booking, `booking.${to}`, session);
+  await emitWebhookEvent(`booking.${to}`, bookingPayload(booking), session);
+};
+
+export const transitionBooking = async (booking, to, options = {}) => {
+  assertTransition(booking, to, options);
+
+  try {
+    await mongoose.connection.transaction((session) => applyTransition(booking, to, options, session));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new BookingStatusError('Booking was updated by someone else. Please refresh and try again.', 409);
+    }
+    throw error;
+  } finally {
+    booking.$session(null);
+  }
+
+  // Online payments on a cancelled booking go back to the customer. Gateway
+  // calls cannot be part of the transaction; a failed refund is left for an
+  // admin to retry from the payments endpoints.
+  if (to === 'cancelled' && (booking.amountPaid || 0) > (booking.amountRefunded || 0)) {
+    try {
+      await refundBookingPayments(booking, { reason: options.reason || 'Booking cancelled', refundedBy: options.changedBy, source: 'system' });
+    } catch (error) {
+      console.error(`Refund for cancelled booking ${booking._id} failed:`, error);
+    }
+  }
+
+  return booking;
+};
@@ -0,0 +1,61 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV helpers shared by the admin exports and imports.
+
+// Formula-like text is prefixed with ' on export so spreadsheets don't run it
+const FORMULA = /^[=+\-@]/;
+
+export const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  const safe = FORMULA.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const csvLine = (values) => values.map(csvCell).join(',') + '\r\n';
+
+// Rows of cells. Handles quoted cells with commas, quotes and line breaks, CRLF
+// or LF line ends and a leading BOM, and undoes csvCell's formula prefix.
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.replace(/^'(?=[=+\-@])/, ''));
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || row.length) endRow();
+  return rows;
+};
@@ -0,0 +1,12 @@
+// utils/httpError.js
+
+// Base for the errors utils throw for controllers to turn into responses:
+// `status` is the HTTP status, `details` extra fields for the JSON body.
+export class HttpError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,177 @@
+// utils/invoices.js
+// Issuing numbered GST invoices for completed bookings and rendering them as
+// PDF with pdfkit (pure JS, built-in fonts, works offline).
+
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import store from '../config/store.js';
+import { round2 } from './pricing.js';
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Indian financial year (April–March) of a date, e.g. "2026-27"
+export const financialYearOf = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const start = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Split a GST-inclusive amount into taxable value + CGST + SGST (which add back up exactly)
+export const gstBreakup = (total, rate = store.gstRate) => {
+  const taxableValue = round2(total / (1 + rate / 100));
+  const tax = round2(total - taxableValue);
+  const cgst = round2(tax / 2);
+  return { gstRate: rate, taxableValue, cgst, sgst: round2(tax - cgst) };
+};
+
+// Issue the invoice for a completed booking inside `session`. The sequence is
+// drawn in the same transaction, so numbers are gap-free per financial year.
+// Returns the existing invoice if one was already issued.
+export const issueInvoice = async (booking, session) => {
+  const existing = await Invoice.findOne({ bookingId: booking._id }).session(session || null);
+  if (existing) return existing;
+
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const sequence = await Counter.next(`invoice-${financialYear}`, session);
+
+  const items = booking.getLineItems().map((item) => ({
+    description: item.productName,
+    category: item.productCategory,
+    quantity: item.quantity,
+    unitPrice: item.sellingPrice,
+    amount: item.totalAmount,
+  }));
+  const subtotal = booking.subtotalAmount ?? round2(items.reduce((sum, i) => sum + i.amount, 0));
+
+  const [invoice] = await Invoice.create(
+    [
+      {
+        invoiceNumber: `${store.invoicePrefix}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+        financialYear,
+        sequence,
+        bookingId: booking._id,
+        userId: booking.userId?._id || booking.userId,
+        couponCode: booking.couponCode,
+        issuedAt,
+        store: {
+          name: store.name,
+          address: store.address,
+          state: store.state,
+          stateCode: store.stateCode,
+          gstin: store.gstin,
+          phone: store.phone,
+          email: store.email,
+        },
+        customer: {
+          name: booking.customerName,
+          phone: booking.customerPhone,
+          address: booking.customerAddress,
+        },
+        items,
+        subtotal,
+        promoCode: booking.promoCode,
+        discountAmount: booking.discountAmount || 0,
+        totalAmount: booking.totalAmount,
+        ...gstBreakup(booking.totalAmount),
+      },
+    ],
+    { session }
+  );
+
+  return invoice;
+};
+
+// Built-in PDF fonts have no ₹ glyph
+const money = (n) => `Rs. ${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Write the invoice PDF to a writable stream (e.g. an Express response)
+export const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+  doc.pipe(stream);
+
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'right' });
+  doc.moveDown(0.5);
+  doc.fontSize(14).text(invoice.store.name, left);
+  doc.font('Helvetica').fontSize(9);
+  if (invoice.store.address) doc.text(invoice.store.address);
+  if (invoice.store.state) doc.text(`State: ${invoice.store.state}${invoice.store.stateCode ? ` (${invoice.store.stateCode})` : ''}`);
+  if (invoice.store.gstin) doc.text(`GSTIN: ${invoice.store.gstin}`);
+  if (invoice.store.phone || invoice.store.email) {
+    doc.text([invoice.store.phone, invoice.store.email].filter(Boolean).join('  |  '));
+  }
+
+  // Invoice meta + customer
+  doc.moveDown();
+  const metaTop = doc.y;
+  doc.font('Helvetica-Bold').text('Bill To', left, metaTop);
+  doc.font('Helvetica').text(invoice.customer.name || '', left, doc.y, { width: 250 });
+  if (invoice.customer.phone) doc.text(invoice.customer.phone, { width: 250 });
+  if (invoice.customer.address) doc.text(invoice.customer.address, { width: 250 });
+  const customerBottom = doc.y;
+
+  doc.font('Helvetica').text(`Invoice No: ${invoice.invoiceNumber}`, 330, metaTop, { width: right - 330, align: 'right' });
+  doc.text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`, { width: right - 330, align: 'right' });
+  if (invoice.couponCode) doc.text(`Booking Ref: ${invoice.couponCode}`, { width: right - 330, align: 'right' });
+
+  // Line items
+  const columns = [
+    { label: '#', x: left, width: 20, align: 'left' },
+    { label: 'Item', x: left + 25, width: 230, align: 'left' },
+    { label: 'Qty', x: left + 260, width: 40, align: 'right' },
+    { label: 'Unit Price', x: left + 305, width: 90, align: 'right' },
+    { label: 'Amount', x: left + 400, width: right - left - 400, align: 'right' },
+  ];
+  const row = (values, font = 'Helvetica') => {
+    const top = doc.y;
+    doc.font(font);
+    let bottom = top;
+    columns.forEach((col, i) => {
+      doc.text(values[i], col.x, top, { width: col.width, align: col.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  doc.y = Math.max(customerBottom, doc.y) + 20;
+  row(columns.map((c) => c.label), 'Helvetica-Bold');
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 4;
+  invoice.items.forEach((item, i) => {
+    row([String(i + 1), `${item.description}${item.category ? ` (${item.category})` : ''}`, String(item.quantity), money(item.unitPrice), money(item.amount)]);
+  });
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 8;
+
+  // Totals and GST breakup
+  const total = (label, value, font = 'Helvetica') => {
+    const top = doc.y;
+    doc.font(font).text(label, left + 260, top, { width: 135, align: 'right' });
+    doc.text(value, left + 400, top, { width: right - left - 400, align: 'right' });
+    doc.y += 2;
+  };
+  total('Subtotal', money(invoice.subtotal));
+  if (invoice.discountAmount) {
+    total(`Discount${invoice.promoCode ? ` (${invoice.promoCode})` : ''}`, `- ${money(invoice.discountAmount)}`);
+  }
+  total('Taxable Value', money(invoice.taxableValue));
+  total(`CGST @ ${invoice.gstRate / 2}%`, money(invoice.cgst));
+  total(`SGST @ ${invoice.gstRate / 2}%`, money(invoice.sgst));
+  total('Total (incl. GST)', money(invoice.totalAmount), 'Helvetica-Bold');
+
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text('Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.', left, doc.y, {
+      width: right - left,
+      align: 'center',
+    });
+
+  doc.end();
+  return doc;
+};
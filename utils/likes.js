@@ -0,0 +1,42 @@
+// utils/likes.js
+// Per-user likes. The ProductLike row and the Product.likes counter change in
+// one transaction, so the counter always equals the number of likes.
+
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductLike from '../models/ProductLike.js';
+
+// Like (liked=true), unlike (liked=false) or toggle (liked omitted).
+// Returns { liked, likes } after the change.
+export const setLike = async (userId, productId, liked, retried = false) => {
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const existing = await ProductLike.findOne({ userId, productId }).session(session);
+      const wantLiked = typeof liked === 'boolean' ? liked : !existing;
+
+      if (wantLiked && !existing) {
+        await ProductLike.create([{ userId, productId }], { session });
+        await Product.updateOne({ _id: productId }, { $inc: { likes: 1 } }, { session });
+      } else if (!wantLiked && existing) {
+        await ProductLike.deleteOne({ _id: existing._id }, { session });
+        await Product.updateOne({ _id: productId, likes: { $gt: 0 } }, { $inc: { likes: -1 } }, { session });
+      }
+
+      const product = await Product.findById(productId).select('likes').session(session);
+      result = { liked: wantLiked, likes: product.likes };
+    });
+  } catch (error) {
+    // A double-click raced us to the unique index; the retry sees its like
+    if (error.code === 11000 && !retried) return setLike(userId, productId, liked, true);
+    throw error;
+  }
+  return result;
+};
+
+// Ids (as strings) of the given products that `userId` has liked
+export const likedProductIds = async (userId, productIds) => {
+  if (!userId || !productIds.length) return new Set();
+  const likes = await ProductLike.find({ userId, productId: { $in: productIds } }).select('productId').lean();
+  return new Set(likes.map((l) => String(l.productId)));
+};
@@ -0,0 +1,112 @@
+// utils/notificationTransports.js
+// Delivery transports per channel. Each transport is { name, send(notification) }
+// and resolves to { id } or throws. Real providers are picked up from the
+// environment; without one (or with NOTIFICATION_TRANSPORT=console|file) messages
+// are written locally so everything runs with no provider at all.
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import store from '../config/store.js';
+
+// "ra***@example.com", "98******10": enough to tell messages apart in logs
+const maskRecipient = (recipient = '') => {
+  const [local, domain] = String(recipient).split('@');
+  if (domain) return `${local.slice(0, 2)}***@${domain}`;
+  return recipient.length > 4 ? `${recipient.slice(0, 2)}${'*'.repeat(recipient.length - 4)}${recipient.slice(-2)}` : '***';
+};
+
+// The default when no provider is configured. Recipients are always masked;
+// message bodies (coupon codes, amounts) are only printed outside production.
+const consoleTransport = {
+  name: 'console',
+  async send(n) {
+    const body = process.env.NODE_ENV === 'production' ? '[body hidden in production]' : n.body;
+    console.log(`[notification:${n.channel}] ${n.event} to=${maskRecipient(n.recipient)}\n${body}`);
+    return { id: `console-${n._id}` };
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+  async send(n) {
+    const file = process.env.NOTIFICATION_LOG_FILE || path.join('logs', 'notifications.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      id: n._id,
+      channel: n.channel,
+      to: n.recipient,
+      subject: n.subject,
+      body: n.body,
+    });
+    await fs.appendFile(file, `${line}\n`);
+    return { id: `file-${n._id}` };
+  },
+};
+
+let mailer = null;
+const smtpTransport = {
+  name: 'smtp',
+  async send(n) {
+    mailer =
+      mailer ||
+      nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    const info = await mailer.sendMail({
+      from: process.env.SMTP_FROM || `"${store.name}" <${store.email || process.env.SMTP_USER}>`,
+      to: n.recipient,
+      subject: n.subject,
+      text: n.body,
+    });
+    return { id: info.messageId };
+  },
+};
+
+// Generic JSON-over-HTTP gateway for SMS / WhatsApp providers:
+// POST { to, message, channel } with a bearer API key
+const httpTransport = (channel, url, apiKey) => ({
+  name: `http:${channel}`,
+  async send(n) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({ to: n.recipient, message: n.body, channel }),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) throw new Error(`${channel} gateway responded ${response.status}`);
+    const data = await response.json().catch(() => ({}));
+    return { id: data.id || data.messageId || data.sid };
+  },
+});
+
+const registered = {};
+
+// Plug in a custom transport for a channel (takes precedence over env config)
+export const registerTransport = (channel, transport) => {
+  registered[channel] = transport;
+};
+
+export const getTransport = (channel) => {
+  if (registered[channel]) return registered[channel];
+
+  const forced = process.env.NOTIFICATION_TRANSPORT;
+  if (forced === 'console') return consoleTransport;
+  if (forced === 'file') return fileTransport;
+
+  if (channel === 'email' && process.env.SMTP_HOST) return smtpTransport;
+  if (channel === 'sms' && process.env.SMS_API_URL) {
+    return httpTransport('sms', process.env.SMS_API_URL, process.env.SMS_API_KEY);
+  }
+  if (channel === 'whatsapp' && process.env.WHATSAPP_API_URL) {
+    return httpTransport('whatsapp', process.env.WHATSAPP_API_URL, process.env.WHATSAPP_API_KEY);
+  }
+  return consoleTransport;
+};
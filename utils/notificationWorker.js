@@ -0,0 +1,99 @@
+// utils/notificationWorker.js
+// Background delivery of the notification outbox: claims due messages one at
+// a time, sends them through the channel's transport, retries failures with
+// exponential backoff and dead-letters them after NOTIFICATION_MAX_ATTEMPTS.
+
+import cron from 'node-cron';
+import Notification from '../models/Notification.js';
+import { getTransport } from './notificationTransports.js';
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A 'sending' message whose worker died is picked up again after this long
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getMaxAttempts = () => Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+
+export const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+const claimNext = (now = new Date()) =>
+  Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+const deliver = async (notification) => {
+  try {
+    const result = await getTransport(notification.channel).send(notification);
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'sent', sentAt: new Date(), providerMessageId: result?.id }, $unset: { lockedAt: '', lastError: '' } }
+    );
+    return true;
+  } catch (error) {
+    const dead = notification.attempts >= getMaxAttempts();
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + backoffDelay(notification.attempts)),
+        },
+        $unset: { lockedAt: '' },
+      }
+    );
+    return false;
+  }
+};
+
+// Deliver up to `batchSize` due messages
+export const processOutbox = async ({ batchSize = 50 } = {}) => {
+  let sent = 0;
+  let failed = 0;
+  for (let i = 0; i < batchSize; i += 1) {
+    const notification = await claimNext();
+    if (!notification) break;
+    if (await deliver(notification)) sent += 1;
+    else failed += 1;
+  }
+  return { sent, failed };
+};
+
+// Put a dead-lettered (or failed) message back in the queue
+export const requeueNotification = (id) =>
+  Notification.findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'pending'] } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: '' } },
+    { new: true }
+  );
+
+let running = false;
+
+// Every minute by default; NOTIFICATION_WORKER_CRON overrides, NOTIFICATION_WORKER_ENABLED=false turns it off
+export const scheduleNotificationWorker = () => {
+  if (process.env.NOTIFICATION_WORKER_ENABLED === 'false') return null;
+
+  return cron.schedule(
+    process.env.NOTIFICATION_WORKER_CRON || '* * * * *',
+    async () => {
+      if (running) return;
+      running = true;
+      try {
+        const { failed } = await processOutbox();
+        if (failed) console.error(`Notification worker: ${failed} message(s) failed, will retry`);
+      } catch (error) {
+        console.error('Notification worker error:', error);
+      } finally {
+        running = false;
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
@@ -0,0 +1,108 @@
+// utils/notifications.js
+// Message templates and the outbox writer. Call enqueueBookingNotification
+// inside the transaction that changes the booking so the message is stored
+// exactly when the change commits.
+
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import store from '../config/store.js';
+
+// Channels a customer is notified on; NOTIFICATION_CHANNELS=email,sms,whatsapp
+export const getEnabledChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || 'email,sms')
+    .split(',')
+    .map((c) => c.trim())
+    .filter((c) => ['email', 'sms', 'whatsapp'].includes(c));
+
+const itemsSummary = (booking) => {
+  const items = booking.getLineItems();
+  return items.length === 1
+    ? `${items[0].productName}${items[0].quantity > 1 ? ` x${items[0].quantity}` : ''}`
+    : `${items[0].productName} and ${items.length - 1} more item(s)`;
+};
+
+const pickupText = (booking) =>
+  booking.pickupSlot?.date
+    ? `${booking.pickupSlot.date}, ${booking.pickupSlot.start}-${booking.pickupSlot.end}`
+    : new Date(booking.bookingDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+const amount = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`;
+
+// What is left to pay, for online bookings after what they already paid
+const paymentText = (booking) => {
+  const due = booking.getAmountDue();
+  const online = booking.paymentMode === 'online';
+  if (due <= 0) return { text: online ? 'Paid online' : 'Nothing to pay', short: online ? 'Paid online.' : '' };
+  if (online && booking.amountPaid > 0) {
+    return {
+      text: `Paid online: ${amount(booking.amountPaid)}\nBalance payable at pickup: ${amount(due)}`,
+      short: `Pay the balance of ${amount(due)} at pickup.`,
+    };
+  }
+  return { text: `Amount payable at pickup: ${amount(due)}`, short: `Pay ${amount(due)} at pickup.` };
+};
+
+// One template per booking event. `short` is used for SMS / WhatsApp.
+const TEMPLATES = {
+  'booking.confirmed': (b, name) => ({
+    subject: `Booking confirmed – ${b.couponCode}`,
+    text: `Hi ${name},\n\nYour booking for ${itemsSummary(b)} is confirmed.\nPickup: ${pickupText(b)}\n${paymentText(b).text}\nCoupon code: ${b.couponCode}\n\nShow this code at the store to collect your order.\n\n${store.name}`,
+    short: `${store.name}: booking ${b.couponCode} confirmed for ${itemsSummary(b)}. Pickup ${pickupText(b)}.${paymentText(b).short ? ` ${paymentText(b).short}` : ''}`,
+  }),
+  'booking.ready_for_pickup': (b, name) => ({
+    subject: `Ready for pickup – ${b.couponCode}`,
+    text: `Hi ${name},\n\nYour order ${itemsSummary(b)} is ready for pickup.\nPickup: ${pickupText(b)}\nCoupon code: ${b.couponCode}\n\n${store.name}`,
+    short: `${store.name}: order ${b.couponCode} is ready for pickup (${pickupText(b)}).`,
+  }),
+  'booking.out_for_delivery': (b, name) => ({
+    subject: `Out for delivery – ${b.couponCode}`,
+    text: `Hi ${name},\n\nYour order ${itemsSummary(b)} is out for delivery.\n\n${store.name}`,
+    short: `${store.name}: order ${b.couponCode} is out for delivery.`,
+  }),
+  'booking.cancelled': (b, name) => ({
+    subject: `Booking cancelled – ${b.couponCode}`,
+    text: `Hi ${name},\n\nYour booking ${b.couponCode} for ${itemsSummary(b)} has been cancelled.${b.cancellationReason ? `\nReason: ${b.cancellationReason}` : ''}\n\n${store.name}`,
+    short: `${store.name}: booking ${b.couponCode} was cancelled.${b.cancellationReason ? ` Reason: ${b.cancellationReason}` : ''}`,
+  }),
+  'booking.completed': (b, name) => ({
+    subject: `Thank you for your purchase – ${b.couponCode}`,
+    text: `Hi ${name},\n\nYour order ${itemsSummary(b)} has been completed. Your tax invoice is available in your account.\n\nThank you for shopping with ${store.name}!`,
+    short: `${store.name}: order ${b.couponCode} completed. Thank you! Your invoice is in your account.`,
+  }),
+  'booking.returned': (b, name) => ({
+    subject: `Return processed – ${b.couponCode}`,
+    text: `Hi ${name},\n\nThe return for order ${b.couponCode} has been processed.${b.refundAmount ? `\nRefund: ${amount(b.refundAmount)}` : ''}\n\n${store.name}`,
+    short: `${store.name}: return for ${b.couponCode} processed.${b.refundAmount ? ` Refund ${amount(b.refundAmount)}.` : ''}`,
+  }),
+};
+
+export const hasTemplate = (event) => Boolean(TEMPLATES[event]);
+
+// Write one outbox entry per enabled channel for a booking event
+export const enqueueBookingNotification = async (booking, event, session) => {
+  const template = TEMPLATES[event];
+  if (!template) return [];
+
+  const user = await User.findById(booking.userId).select('name email').session(session || null);
+  const name = booking.customerName || user?.name || 'there';
+  const message = template(booking, name);
+
+  const docs = getEnabledChannels()
+    .map((channel) => {
+      const recipient = channel === 'email' ? user?.email : booking.customerPhone;
+      if (!recipient) return null;
+      return {
+        userId: booking.userId,
+        bookingId: booking._id,
+        event,
+        channel,
+        recipient,
+        subject: channel === 'email' ? message.subject : undefined,
+        body: channel === 'email' ? message.text : message.short,
+      };
+    })
+    .filter(Boolean);
+
+  if (!docs.length) return [];
+  return Notification.insertMany(docs, { session });
+};
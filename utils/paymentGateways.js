@@ -0,0 +1,145 @@
+// utils/paymentGateways.js
+// Payment gateways. Each gateway follows the Razorpay flow:
+//   createOrder({ amount, currency, receipt, notes }) -> { orderId }
+//   verifyPayment({ orderId, paymentId, signature })  -> boolean (checkout callback)
+//   verifyWebhook(rawBody, signature)                 -> boolean
+//   parseWebhook(body) -> { type, orderId, paymentId, amount, reason } | null
+//   refund({ paymentId, amount, notes })              -> { refundId }
+// Amounts are rupees everywhere outside the gateway. PAYMENT_GATEWAY picks the
+// gateway for new orders; the built-in mock needs no account and runs locally,
+// never in production, and only with MOCK_PAYMENT_SECRET set.
+
+import crypto from 'crypto';
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (paise) => Math.round(paise) / 100;
+
+// Razorpay webhook bodies: { event, payload: { payment: { entity }, refund: { entity } } }
+const parseRazorpayStyle = (body) => {
+  const payment = body?.payload?.payment?.entity;
+  const refund = body?.payload?.refund?.entity;
+  switch (body?.event) {
+    case 'payment.authorized':
+    case 'payment.captured':
+    case 'payment.failed':
+      if (!payment) return null;
+      return {
+        type: body.event,
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        amount: fromPaise(payment.amount),
+        reason: payment.error_description,
+      };
+    case 'refund.processed':
+      if (!refund) return null;
+      return { type: body.event, paymentId: refund.payment_id, refundId: refund.id, amount: fromPaise(refund.amount) };
+    default:
+      return null;
+  }
+};
+
+const razorpayGateway = {
+  name: 'razorpay',
+  signatureHeader: 'x-razorpay-signature',
+  publicConfig: () => ({ keyId: process.env.RAZORPAY_KEY_ID }),
+
+  async request(method, path, body) {
+    const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const response = await fetch(`https://api.razorpay.com/v1${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(15000),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Razorpay responded ${response.status}: ${data.error?.description || 'unknown error'}`);
+    }
+    return data;
+  },
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await this.request('POST', '/orders', { amount: toPaise(amount), currency, receipt, notes });
+    return { orderId: order.id };
+  },
+
+  verifyPayment({ orderId, paymentId, signature }) {
+    return safeEqual(hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhook(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    return Boolean(secret) && safeEqual(hmac(secret, rawBody), signature);
+  },
+
+  parseWebhook: parseRazorpayStyle,
+
+  async refund({ paymentId, amount, notes }) {
+    const refund = await this.request('POST', `/payments/${paymentId}/refund`, { amount: toPaise(amount), notes });
+    return { refundId: refund.id };
+  },
+};
+
+// Same contract and signatures as Razorpay, with locally generated ids.
+// simulatePayment() plays the customer completing checkout.
+const mockSecret = () => process.env.MOCK_PAYMENT_SECRET;
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+const mockGateway = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+  publicConfig: () => ({ keyId: 'mock_key' }),
+  // Anyone could sign payments with a known secret, so it is never usable in production
+  available: () => !isProduction() && Boolean(mockSecret()),
+
+  async createOrder() {
+    return { orderId: mockId('order') };
+  },
+
+  verifyPayment({ orderId, paymentId, signature }) {
+    return this.available() && safeEqual(hmac(mockSecret(), `${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhook(rawBody, signature) {
+    return this.available() && safeEqual(hmac(mockSecret(), rawBody), signature);
+  },
+
+  parseWebhook: parseRazorpayStyle,
+
+  async refund() {
+    return { refundId: mockId('rfnd') };
+  },
+
+  simulatePayment(orderId) {
+    const paymentId = mockId('pay');
+    return { orderId, paymentId, signature: hmac(mockSecret(), `${orderId}|${paymentId}`) };
+  },
+};
+
+const gateways = {
+  mock: mockGateway,
+  razorpay: razorpayGateway,
+};
+
+// Plug in another gateway (or replace a built-in one) under `name`
+export const registerGateway = (name, gateway) => {
+  gateways[name] = gateway;
+};
+
+// The named gateway, or the one configured for new orders (PAYMENT_GATEWAY,
+// defaulting to mock outside production). Null when it is unknown or cannot be
+// used here, so orders, verifies and webhooks for it are refused.
+export const getGateway = (name = process.env.PAYMENT_GATEWAY || (isProduction() ? undefined : 'mock')) => {
+  const gateway = gateways[name];
+  if (!gateway || (gateway.available && !gateway.available())) return null;
+  return gateway;
+};
@@ -0,0 +1,59 @@
+// utils/paymentTimeout.js
+// Cancels online bookings whose advance was not paid by paymentDueBy
+// (PAYMENT_TIMEOUT_MINUTES after booking), releasing their stock and slot.
+
+import cron from 'node-cron';
+import Booking from '../models/Booking.js';
+import { transitionBooking } from './bookingStatus.js';
+
+export const PAYMENT_TIMEOUT_REASON = 'Payment not received in time';
+
+// Cancel every overdue unpaid booking; failures are collected per booking
+export const cancelUnpaidBookings = async ({ now = new Date() } = {}) => {
+  const bookings = await Booking.find({
+    status: 'pending',
+    paymentMode: 'online',
+    paymentStatus: { $nin: ['paid', 'partially_paid'] },
+    paymentDueBy: { $lt: now },
+  }).sort({ paymentDueBy: 1 });
+
+  const cancelled = [];
+  const failed = [];
+  for (const booking of bookings) {
+    try {
+      await transitionBooking(booking, 'cancelled', { reason: PAYMENT_TIMEOUT_REASON });
+      cancelled.push(booking._id);
+    } catch (error) {
+      failed.push({ bookingId: booking._id, error: error.message });
+    }
+  }
+
+  return { cancelled, failed };
+};
+
+let running = false;
+
+// Every 5 minutes by default; PAYMENT_TIMEOUT_CRON overrides, PAYMENT_TIMEOUT_ENABLED=false turns it off
+export const schedulePaymentTimeout = () => {
+  if (process.env.PAYMENT_TIMEOUT_ENABLED === 'false') return null;
+
+  return cron.schedule(
+    process.env.PAYMENT_TIMEOUT_CRON || '*/5 * * * *',
+    async () => {
+      if (running) return; // previous run still going
+      running = true;
+      try {
+        const { cancelled, failed } = await cancelUnpaidBookings();
+        if (cancelled.length || failed.length) {
+          console.log(`Payment timeout: ${cancelled.length} cancelled, ${failed.length} failed`);
+        }
+        failed.forEach((f) => console.error(`Payment timeout failed for ${f.bookingId}: ${f.error}`));
+      } catch (error) {
+        console.error('Payment timeout job error:', error);
+      } finally {
+        running = false;
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
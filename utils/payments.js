@@ -0,0 +1,338 @@
+// utils/payments.js
+// Online payments for bookings. An online booking is created `pending` with an
+// advance to pay (the full total or part of it) and a deadline; capturing the
+// advance confirms it, missing the deadline cancels it (utils/paymentTimeout.js).
+// Gateway callbacks and webhooks can arrive more than once and in any order, so
+// every state change claims the Payment row first and is applied exactly once.
+
+import mongoose from 'mongoose';
+import Booking, { PAYMENT_MODES } from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import { getGateway } from './paymentGateways.js';
+import { applyTransition } from './bookingStatus.js';
+import { emitWebhookEvent, paymentPayload } from './webhooks.js';
+import { round2 } from './pricing.js';
+import { HttpError } from './httpError.js';
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'ready_for_pickup', 'out_for_delivery'];
+// Tolerance for comparing sums of rupee amounts
+const EPSILON = 0.001;
+
+export class PaymentError extends HttpError {}
+
+export const getPaymentTimeoutMinutes = () => {
+  const minutes = Number(process.env.PAYMENT_TIMEOUT_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+const getMinAdvancePercent = () => {
+  const percent = Number(process.env.PAYMENT_MIN_ADVANCE_PERCENT);
+  return Number.isFinite(percent) && percent > 0 && percent <= 100 ? percent : 20;
+};
+
+// Orders above PAYMENT_ONLINE_REQUIRED_ABOVE (rupees) cannot be left entirely to pickup
+const getOnlineRequiredAbove = () => {
+  const amount = Number(process.env.PAYMENT_ONLINE_REQUIRED_ABOVE);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+// Initial status and payment fields for a new booking of `totalAmount`
+export const paymentTerms = (totalAmount, { paymentMode = 'pay_at_pickup', advanceAmount } = {}, now = new Date()) => {
+  if (!PAYMENT_MODES.includes(paymentMode)) {
+    throw new PaymentError(`Payment mode must be one of: ${PAYMENT_MODES.join(', ')}`);
+  }
+
+  if (paymentMode === 'pay_at_pickup') {
+    const limit = getOnlineRequiredAbove();
+    if (limit && totalAmount > limit) {
+      throw new PaymentError(
+        `Orders above ₹${limit.toLocaleString('en-IN')} need an online advance payment`,
+        400,
+        { minAdvance: round2(Math.max((totalAmount * getMinAdvancePercent()) / 100, 1)) }
+      );
+    }
+    return { status: 'confirmed', fields: { paymentMode, paymentStatus: 'unpaid' } };
+  }
+
+  if (!getGateway()) throw new PaymentError('Online payments are not available right now', 503);
+  if (totalAmount < 1) throw new PaymentError('This order cannot be paid online');
+
+  const minAdvance = round2(Math.max((totalAmount * getMinAdvancePercent()) / 100, 1));
+  const advance = advanceAmount === undefined || advanceAmount === null || advanceAmount === ''
+    ? totalAmount
+    : round2(Number(advanceAmount));
+  if (!Number.isFinite(advance) || advance < minAdvance || advance > totalAmount) {
+    throw new PaymentError(
+      `Advance must be between ₹${minAdvance.toLocaleString('en-IN')} and ₹${totalAmount.toLocaleString('en-IN')}`,
+      400,
+      { minAdvance, maxAdvance: totalAmount }
+    );
+  }
+
+  return {
+    status: 'pending',
+    fields: {
+      paymentMode,
+      paymentStatus: 'unpaid',
+      advanceAmount: advance,
+      paymentDueBy: new Date(now.getTime() + getPaymentTimeoutMinutes() * 60 * 1000),
+    },
+  };
+};
+
+// Open a gateway order for what is currently due on `booking`
+export const createPaymentOrder = async (booking) => {
+  if (booking.paymentMode !== 'online') {
+    throw new PaymentError('This booking is paid at pickup');
+  }
+  if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new PaymentError(`A ${booking.status.replace(/_/g, ' ')} booking cannot be paid`, 409);
+  }
+  const amount = booking.getAmountDue();
+  if (amount < 1) throw new PaymentError('Nothing is due on this booking', 409);
+
+  const gateway = getGateway();
+  if (!gateway) throw new PaymentError('Online payments are not available right now', 503);
+
+  const { orderId } = await gateway.createOrder({
+    amount,
+    currency: 'INR',
+    receipt: booking.couponCode,
+    notes: { bookingId: String(booking._id) },
+  });
+
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    userId: booking.userId,
+    gateway: gateway.name,
+    amount,
+    gatewayOrderId: orderId,
+    events: [{ type: 'order.created', source: 'client' }],
+  });
+
+  return {
+    payment,
+    checkout: { gateway: gateway.name, orderId, amount, currency: payment.currency, ...gateway.publicConfig() },
+  };
+};
+
+// Record a captured payment: add it to the booking's amountPaid and confirm a
+// pending booking. The booking is only 'paid' once amountPaid covers the total;
+// an advance leaves it 'partially_paid'. `amount` (from gateway events) must
+// match the order; the checkout callback carries none, and the gateway only
+// captures the order's amount. A capture that arrives after the booking was
+// cancelled is refunded straight away.
+export const capturePayment = async (payment, { gatewayPaymentId, amount, source }) => {
+  if (amount !== undefined && amount !== null && Math.abs(Number(amount) - payment.amount) > EPSILON) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $push: { events: { type: 'payment.amount_mismatch', source, detail: `Captured ₹${amount}, order was for ₹${payment.amount}` } } }
+    );
+    throw new PaymentError('Captured amount does not match the payment order', 409, { expected: payment.amount, received: amount });
+  }
+
+  let captured = null;
+  let booking = null;
+  let lateCapture = false;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      captured = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: ['created', 'authorized', 'failed'] } },
+        {
+          $set: { status: 'captured', gatewayPaymentId: gatewayPaymentId || payment.gatewayPaymentId, capturedAt: new Date() },
+          $push: { events: { type: 'payment.captured', source } },
+        },
+        { new: true, session }
+      );
+      if (!captured) return; // already recorded
+
+      booking = await Booking.findById(captured.bookingId).session(session);
+      const amountPaid = round2((booking.amountPaid || 0) + captured.amount);
+      const updates = { amountPaid, paymentStatus: amountPaid >= booking.totalAmount - EPSILON ? 'paid' : 'partially_paid' };
+
+      if (booking.status === 'pending') {
+        await applyTransition(booking, 'confirmed', { reason: 'Payment received', updates }, session);
+      } else {
+        lateCapture = !ACTIVE_BOOKING_STATUSES.includes(booking.status);
+        booking.set(updates);
+        await booking.save({ session });
+      }
+      await emitWebhookEvent('payment.captured', paymentPayload(captured, booking), session);
+    });
+  } finally {
+    booking?.$session(null);
+  }
+
+  if (!captured) return Payment.findById(payment._id);
+
+  if (lateCapture) {
+    try {
+      captured = await refundPayment(captured, {
+        reason: `Booking was ${booking.status} before the payment arrived`,
+        source: 'system',
+      });
+    } catch (error) {
+      console.error(`Refund of late payment ${captured._id} failed:`, error);
+    }
+  }
+  return captured;
+};
+
+// Funds held but not captured yet (gateways with manual capture)
+export const authorizePayment = async (payment, { gatewayPaymentId, source }) => {
+  const authorized = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'created' },
+    { $set: { status: 'authorized', gatewayPaymentId }, $push: { events: { type: 'payment.authorized', source } } },
+    { new: true }
+  );
+  if (authorized) {
+    await Booking.updateOne(
+      { _id: authorized.bookingId, paymentStatus: { $in: ['unpaid', 'failed'] } },
+      { $set: { paymentStatus: 'authorized' } }
+    );
+  }
+  return authorized || Payment.findById(payment._id);
+};
+
+// A failed attempt leaves the booking pending, so the customer can retry until paymentDueBy
+export const failPayment = async (payment, { gatewayPaymentId, reason, source }) => {
+  let failed = null;
+  await mongoose.connection.transaction(async (session) => {
+    failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'authorized'] } },
+      {
+        $set: { status: 'failed', failureReason: reason || 'Payment failed', ...(gatewayPaymentId && { gatewayPaymentId }) },
+        $push: { events: { type: 'payment.failed', source, detail: reason } },
+      },
+      { new: true, session }
+    );
+    if (!failed) return;
+
+    await Booking.updateOne(
+      { _id: failed.bookingId, paymentStatus: { $in: ['unpaid', 'authorized'] } },
+      { $set: { paymentStatus: 'failed' } },
+      { session }
+    );
+    const booking = await Booking.findById(failed.bookingId).session(session);
+    await emitWebhookEvent('payment.failed', paymentPayload(failed, booking), session);
+  });
+  return failed || Payment.findById(payment._id);
+};
+
+// Refund `amount` (default: everything not yet refunded) of a captured payment.
+// The amount is reserved on the Payment before the gateway is called so
+// concurrent refunds can never exceed what was paid. Pass `gatewayRefundId` to
+// record a refund that was already made at the gateway (e.g. from its dashboard).
+export const refundPayment = async (payment, { amount, reason, refundedBy, source = 'admin', gatewayRefundId } = {}) => {
+  if (payment.status !== 'captured') {
+    throw new PaymentError('Only captured payments can be refunded', 409);
+  }
+  const refundable = round2(payment.amount - payment.refundedAmount);
+  const refundAmount = amount === undefined || amount === null ? refundable : round2(Number(amount));
+  if (!(refundAmount > 0) || refundAmount > refundable + EPSILON) {
+    throw new PaymentError(`Refund must be between ₹0.01 and ₹${refundable.toLocaleString('en-IN')}`, 400, { refundable });
+  }
+
+  const gateway = gatewayRefundId ? null : getGateway(payment.gateway);
+  if (!gatewayRefundId && !gateway) {
+    throw new PaymentError(`The ${payment.gateway} gateway is not available here`, 503);
+  }
+
+  const reserved = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'captured', refundedAmount: { $lte: payment.amount - refundAmount + EPSILON } },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) throw new PaymentError('Payment was refunded by someone else. Please refresh and try again.', 409);
+
+  let refundId = gatewayRefundId;
+  if (!refundId) {
+    try {
+      ({ refundId } = await gateway.refund({
+        paymentId: payment.gatewayPaymentId,
+        amount: refundAmount,
+        notes: { bookingId: String(payment.bookingId), reason },
+      }));
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: -refundAmount }, $push: { events: { type: 'refund.failed', source, detail: error.message } } }
+      );
+      throw new PaymentError(`Refund failed at the gateway: ${error.message}`, 502);
+    }
+  }
+
+  let refunded = null;
+  let booking = null;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const fullyRefunded = reserved.refundedAmount >= reserved.amount - EPSILON;
+      refunded = await Payment.findByIdAndUpdate(
+        payment._id,
+        {
+          ...(fullyRefunded && { $set: { status: 'refunded' } }),
+          $push: {
+            refunds: { gatewayRefundId: refundId, amount: refundAmount, reason, refundedBy },
+            events: { type: 'refund.processed', source, detail: reason },
+          },
+        },
+        { new: true, session }
+      );
+
+      booking = await Booking.findById(payment.bookingId).session(session);
+      const amountRefunded = round2((booking.amountRefunded || 0) + refundAmount);
+      booking.amountRefunded = amountRefunded;
+      if (amountRefunded >= (booking.amountPaid || 0) - EPSILON) booking.paymentStatus = 'refunded';
+      await booking.save({ session });
+
+      await emitWebhookEvent('payment.refunded', { ...paymentPayload(refunded, booking), refundAmount }, session);
+    });
+  } finally {
+    booking?.$session(null);
+  }
+  return refunded;
+};
+
+// Refund up to `amount` (default: everything) across a booking's captured
+// payments, oldest first. Returns the total refunded.
+export const refundBookingPayments = async (booking, { amount, reason, refundedBy, source } = {}) => {
+  const payments = await Payment.find({ bookingId: booking._id, status: 'captured' }).sort({ createdAt: 1 });
+  let remaining = amount === undefined ? Infinity : round2(amount);
+  let total = 0;
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    const refundable = round2(payment.amount - payment.refundedAmount);
+    if (refundable <= 0) continue;
+    const share = Math.min(refundable, remaining);
+    await refundPayment(payment, { amount: share, reason, refundedBy, source });
+    total = round2(total + share);
+    remaining = round2(remaining - share);
+  }
+  return total;
+};
+
+// Apply a verified gateway webhook event. Unknown payments and events are ignored.
+export const handleGatewayEvent = async (gatewayName, event) => {
+  if (event.type === 'refund.processed') {
+    const payment = await Payment.findOne({ gateway: gatewayName, gatewayPaymentId: event.paymentId });
+    // Refunds we started are already recorded under their gateway id
+    if (!payment || payment.refunds.some((r) => r.gatewayRefundId === event.refundId)) return payment;
+    return refundPayment(payment, {
+      amount: Math.min(event.amount, round2(payment.amount - payment.refundedAmount)),
+      reason: 'Refunded at the gateway',
+      source: 'webhook',
+      gatewayRefundId: event.refundId,
+    });
+  }
+
+  const payment = await Payment.findOne({ gateway: gatewayName, gatewayOrderId: event.orderId });
+  if (!payment) return null;
+
+  const options = { gatewayPaymentId: event.paymentId, amount: event.amount, reason: event.reason, source: 'webhook' };
+  if (event.type === 'payment.captured') return capturePayment(payment, options);
+  if (event.type === 'payment.authorized') return authorizePayment(payment, options);
+  if (event.type === 'payment.failed') return failPayment(payment, options);
+  return payment;
+};
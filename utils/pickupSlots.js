@@ -0,0 +1,153 @@
+// utils/pickupSlots.js
+// Pickup slot rules: generating a day's slots from the store schedule,
+// validating a customer's choice and holding / releasing capacity atomically.
+// Dates are store-local (IST) 'YYYY-MM-DD' keys, times are 'HH:mm'.
+
+import PickupSchedule from '../models/PickupSchedule.js';
+import PickupSlot from '../models/PickupSlot.js';
+import { HttpError } from './httpError.js';
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SlotError extends HttpError {}
+
+// 'YYYY-MM-DD' of a Date in IST
+export const istDateKey = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Date for an IST date key + 'HH:mm'
+export const slotStartDate = (dateKey, time) => new Date(`${dateKey}T${time}:00+05:30`);
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Saved schedule, or the schema defaults when an admin never configured one
+export const getSchedule = async () => (await PickupSchedule.findById('default')) || new PickupSchedule();
+
+// Slots the store offers on a day ([] when closed or a holiday)
+export const slotsForDay = (schedule, dateKey) => {
+  if (schedule.holidays.some((h) => h.date === dateKey)) return [];
+
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const hours = schedule.weeklyHours.filter((h) => h.day === weekday);
+
+  const slots = [];
+  for (const { open, close } of hours) {
+    for (let t = toMinutes(open); t + schedule.slotMinutes <= toMinutes(close); t += schedule.slotMinutes) {
+      slots.push({ start: toTime(t), end: toTime(t + schedule.slotMinutes) });
+    }
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const dayStatus = (schedule, dateKey) => {
+  const holiday = schedule.holidays.find((h) => h.date === dateKey);
+  if (holiday) return { status: 'holiday', reason: holiday.reason };
+  return slotsForDay(schedule, dateKey).length ? { status: 'open' } : { status: 'closed' };
+};
+
+// Why a slot cannot be booked right now, or null if it can (capacity aside)
+const bookingWindowProblem = (schedule, dateKey, start, now) => {
+  const startsAt = slotStartDate(dateKey, start);
+  if (startsAt.getTime() < now.getTime() + schedule.minLeadMinutes * 60 * 1000) {
+    return 'This pickup slot has already passed or starts too soon';
+  }
+  if (startsAt.getTime() > now.getTime() + schedule.maxAdvanceDays * DAY_MS) {
+    return `Pickup can be booked at most ${schedule.maxAdvanceDays} days ahead`;
+  }
+  return null;
+};
+
+// Day-by-day availability between two IST date keys (inclusive)
+export const listAvailability = async (fromKey, toKey, now = new Date()) => {
+  const schedule = await getSchedule();
+  const stored = await PickupSlot.find({ date: { $gte: fromKey, $lte: toKey } }).lean();
+  const byKey = new Map(stored.map((s) => [`${s.date} ${s.start}`, s]));
+
+  const days = [];
+  for (let t = Date.parse(`${fromKey}T00:00:00Z`); t <= Date.parse(`${toKey}T00:00:00Z`); t += DAY_MS) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    const slots = slotsForDay(schedule, date).map(({ start, end }) => {
+      const doc = byKey.get(`${date} ${start}`);
+      const capacity = doc?.capacity ?? schedule.capacityPerSlot;
+      const booked = doc?.booked || 0;
+      const blocked = Boolean(doc?.blocked);
+      const remaining = Math.max(capacity - booked, 0);
+      return {
+        start,
+        end,
+        capacity,
+        booked,
+        remaining,
+        blocked,
+        ...(blocked && doc.blockReason && { blockReason: doc.blockReason }),
+        available: !blocked && remaining > 0 && !bookingWindowProblem(schedule, date, start, now),
+      };
+    });
+    days.push({ date, ...dayStatus(schedule, date), slots });
+  }
+  return days;
+};
+
+// Validate a customer's choice ({ bookingDate, slotStart }) against the schedule.
+// Returns the slot to store on the booking; capacity is checked by holdSlot.
+export const resolveSlot = async ({ bookingDate, slotStart }, now = new Date()) => {
+  if (!bookingDate || Number.isNaN(new Date(bookingDate).getTime())) {
+    throw new SlotError('A valid pickup date is required');
+  }
+  if (!slotStart) throw new SlotError('Please choose a pickup slot');
+
+  const schedule = await getSchedule();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(bookingDate) ? bookingDate : istDateKey(bookingDate);
+
+  const status = dayStatus(schedule, date);
+  if (status.status !== 'open') {
+    throw new SlotError(
+      status.status === 'holiday' ? `The store is closed on ${date}${status.reason ? ` (${status.reason})` : ''}` : `The store is closed on ${date}`
+    );
+  }
+
+  const slot = slotsForDay(schedule, date).find((s) => s.start === slotStart);
+  if (!slot) throw new SlotError('Invalid pickup slot for this day');
+
+  const problem = bookingWindowProblem(schedule, date, slot.start, now);
+  if (problem) throw new SlotError(problem);
+
+  return { date, start: slot.start, end: slot.end, startsAt: slotStartDate(date, slot.start), capacity: schedule.capacityPerSlot };
+};
+
+// Take one place in the slot inside `session`; throws 409 when full or blocked.
+// Two steps because MongoDB refuses $expr in an upsert filter: make sure the
+// slot document exists, then claim a place only if one is left.
+export const holdSlot = async (slot, session) => {
+  await PickupSlot.updateOne(
+    { date: slot.date, start: slot.start },
+    { $setOnInsert: { booked: 0 } },
+    { upsert: true, session }
+  );
+
+  const updated = await PickupSlot.findOneAndUpdate(
+    {
+      date: slot.date,
+      start: slot.start,
+      blocked: { $ne: true },
+      // A capacity stored on the slot overrides the schedule's
+      $expr: { $lt: ['$booked', { $ifNull: ['$capacity', slot.capacity] }] },
+    },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+  if (updated) return updated;
+
+  const current = await PickupSlot.findOne({ date: slot.date, start: slot.start }).session(session);
+  throw new SlotError(
+    current?.blocked ? 'This pickup slot is not available' : 'This pickup slot is fully booked. Please choose another one.',
+    409
+  );
+};
+
+export const releaseSlot = (slot, session) =>
+  PickupSlot.updateOne({ date: slot.date, start: slot.start, booked: { $gt: 0 } }, { $inc: { booked: -1 } }, { session });
@@ -0,0 +1,90 @@
+// utils/pricing.js
+// Server-side price snapshot for bookings. Everything is derived from the
+// Product document so the client can never choose what it pays.
+
+import { hasVariants, findVariant, variantLabel } from './variants.js';
+import { primaryImageUrl } from './productImages.js';
+import { HttpError } from './httpError.js';
+
+const PRICE_FIELDS = ['actualPrice', 'strikePrice', 'sellingPrice', 'totalAmount', 'discountPercentage'];
+
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+export class PricingError extends HttpError {}
+
+// The variant being bought: required for products with variants, refused for others
+const chosenVariant = (product, variantId) => {
+  if (!hasVariants(product)) {
+    if (variantId) throw new PricingError('This product has no variants');
+    return null;
+  }
+  if (!variantId) {
+    throw new PricingError('Please choose a variant of this product', 400, { productId: product._id });
+  }
+  const variant = findVariant(product, variantId);
+  if (!variant || !variant.isActive) throw new PricingError('The chosen variant is not available', 400);
+  return variant;
+};
+
+// Build the snapshot stored on a booking (for a variant, its own prices apply):
+//   actualPrice        -> listed unit price (product.price)
+//   strikePrice        -> unit MRP shown struck-through (product.originalPrice, falls back to price)
+//   sellingPrice       -> unit price charged
+//   discountPercentage -> product.discount, or derived from strike vs selling price
+//   totalAmount        -> sellingPrice × quantity
+export const buildPriceSnapshot = (product, quantity, variantId) => {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) {
+    throw new PricingError('Quantity must be a whole number of at least 1');
+  }
+
+  const variant = chosenVariant(product, variantId);
+  const priced = variant || product;
+  if (typeof priced.price !== 'number' || priced.price < 0) {
+    throw new PricingError('This product has no price set. Please contact the store.');
+  }
+
+  const unitPrice = round2(priced.price);
+  const strikePrice = round2(
+    typeof priced.originalPrice === 'number' && priced.originalPrice > unitPrice ? priced.originalPrice : unitPrice
+  );
+  const discountPercentage =
+    !variant && typeof product.discount === 'number'
+      ? product.discount
+      : strikePrice > 0
+        ? Math.round(((strikePrice - unitPrice) / strikePrice) * 100)
+        : 0;
+
+  const label = variant && variantLabel(product, variant);
+  return {
+    productName: label ? `${product.name} (${label})` : product.name,
+    productImage: primaryImageUrl(variant) || primaryImageUrl(product) || '',
+    productCategory: product.category,
+    ...(variant && { variantId: variant._id, variantSku: variant.sku, variantLabel: label }),
+    quantity: qty,
+    actualPrice: unitPrice,
+    strikePrice,
+    sellingPrice: unitPrice,
+    discountPercentage,
+    totalAmount: round2(unitPrice * qty),
+  };
+};
+
+// Compare any price values the client sent against the server snapshot.
+// Missing values are fine (ignored); values that disagree are returned so the
+// caller can reject the request instead of silently charging a different amount.
+export const findPriceMismatches = (snapshot, clientValues = {}) => {
+  const mismatches = [];
+  for (const field of PRICE_FIELDS) {
+    const raw = clientValues[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const sent = Number(raw);
+    if (Number.isNaN(sent) || Math.abs(sent - snapshot[field]) > 0.01) {
+      mismatches.push({ field, sent: raw, expected: snapshot[field] });
+    }
+  }
+  return mismatches;
+};
+
+// Order total for a list of line item snapshots
+export const sumLineItems = (items) => round2(items.reduce((sum, item) => sum + item.totalAmount, 0));
@@ -0,0 +1,156 @@
+// utils/productHistory.js
+// Product change log. Every product save() records a ProductChange with the
+// fields it changed (old and new values), who made the edit and the next
+// per-product version, in the save's session so a failed write leaves no entry.
+// Stock moves by orders (utils/stock.js) and rating refreshes are atomic
+// updates, not saves, and are not logged.
+
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import ProductChange from '../models/ProductChange.js';
+import { istDateKey } from './pickupSlots.js';
+import { resolveRange, bucketLabels } from './analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Top-level paths whose changes are logged
+export const TRACKED_PATHS = [
+  'name', 'sku', 'description', 'category', 'condition', 'type', 'availability', 'isActive',
+  'price', 'originalPrice', 'discount', 'stock', 'features', 'tags', 'images',
+  'specifications', 'variantOptions', 'variants',
+];
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'originalPrice', 'stock', 'isActive'];
+
+// Tracked values of a product (document or lean object) keyed by field path;
+// specifications and variants are broken out per key / per variant field
+const snapshot = (product) => {
+  const source = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true, depopulate: true }) : product;
+  const values = {};
+  for (const path of TRACKED_PATHS) {
+    if (path === 'specifications') {
+      for (const [key, value] of Object.entries(source.specifications || {})) values[`specifications.${key}`] = value;
+    } else if (path === 'variants') {
+      for (const variant of source.variants || []) {
+        for (const field of VARIANT_FIELDS) values[`variants.${variant._id}.${field}`] = variant[field];
+      }
+    } else {
+      values[path] = source[path];
+    }
+  }
+  // Plain JSON values: ObjectIds and dates as strings, unset fields dropped
+  return JSON.parse(JSON.stringify(values));
+};
+
+// Changes between two snapshots, limited to fields under `paths`
+export const diffSnapshots = (before, after, paths) => {
+  const roots = new Set(paths);
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (!roots.has(field.split('.')[0])) continue;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+};
+
+// Called from the Product pre-save hook: remember what the stored product
+// looked like for the paths this save changes
+export const captureBefore = async (doc) => {
+  const paths = TRACKED_PATHS.filter((path) => doc.isNew || doc.isModified(path));
+  doc.$locals.history = { paths, isNew: doc.isNew, before: {} };
+  if (doc.isNew || !paths.length) return;
+  const stored = await doc.constructor.findById(doc._id).select(paths.join(' ')).session(doc.$session()).lean();
+  if (stored) doc.$locals.history.before = snapshot(stored);
+};
+
+// Called from the Product post-save hook
+export const recordProductChange = async (doc) => {
+  const history = doc.$locals.history;
+  if (!history?.paths.length) return;
+  delete doc.$locals.history;
+
+  const changes = diffSnapshots(history.before, snapshot(doc), history.paths);
+  if (!changes.length) return;
+
+  const session = doc.$session();
+  const version = await Counter.next(`product-history:${doc._id}`, session);
+  await ProductChange.create(
+    [
+      {
+        productId: doc._id,
+        version,
+        action: history.isNew ? 'create' : 'update',
+        source: doc.$locals.changeSource || 'system',
+        changedBy: doc.$locals.changedBy,
+        changes,
+      },
+    ],
+    { session }
+  );
+};
+
+// Save a product and its change log entry in one transaction, attributed to
+// `changedBy` (source: 'admin' | 'import' | 'system')
+export const saveWithHistory = async (product, { changedBy, source = 'admin' } = {}) => {
+  product.$locals.changedBy = changedBy;
+  product.$locals.changeSource = source;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await product.save({ session });
+    });
+  } finally {
+    product.$session(null);
+  }
+  return product;
+};
+
+// Daily lowest price of a product (or one of its variants) over the last
+// `days` IST days, today included, rebuilt from the change log
+export const priceHistory = async (product, { days = 30, variantId, now = new Date() } = {}) => {
+  const field = variantId ? `variants.${variantId}.price` : 'price';
+  const variant = variantId && product.variants?.find((v) => String(v._id) === String(variantId));
+  const currentPrice = (variant ? variant.price : product.price) ?? null;
+
+  const range = resolveRange({ from: istDateKey(now.getTime() - (days - 1) * DAY_MS), tz: 'ist' }, now);
+  const match = { productId: product._id, 'changes.field': field };
+  const [previous, inRange] = await Promise.all([
+    ProductChange.findOne({ ...match, createdAt: { $lt: range.start } }).sort({ createdAt: -1 }).lean(),
+    ProductChange.find({ ...match, createdAt: { $gte: range.start, $lte: range.end } }).sort({ createdAt: 1 }).lean(),
+  ]);
+  const priceChange = (entry) => entry.changes.find((c) => c.field === field);
+
+  // The price on the first day: the last change before it, else what the
+  // first change in the range changed it from, else today's price
+  let price = previous
+    ? priceChange(previous).to
+    : inRange.length ? priceChange(inRange[0]).from : currentPrice;
+
+  const changesByDay = new Map();
+  for (const entry of inRange) {
+    const date = istDateKey(entry.createdAt);
+    changesByDay.set(date, [...(changesByDay.get(date) || []), priceChange(entry).to]);
+  }
+
+  const series = bucketLabels(range, 'day').map((date) => {
+    let low = price;
+    for (const next of changesByDay.get(date) || []) {
+      price = next;
+      if (typeof price === 'number' && (typeof low !== 'number' || price < low)) low = price;
+    }
+    return { date, price: low };
+  });
+
+  const prices = series.map((d) => d.price).filter((p) => typeof p === 'number');
+  const lowest = prices.length ? Math.min(...prices) : null;
+  return {
+    range: { from: range.start, to: range.end, timezone: range.zone.name, days },
+    currentPrice,
+    lowestPrice: lowest,
+    highestPrice: prices.length ? Math.max(...prices) : null,
+    isLowestPrice: typeof currentPrice === 'number' && lowest !== null && currentPrice <= lowest,
+    changes: inRange.length,
+    series,
+  };
+};
@@ -0,0 +1,64 @@
+// utils/productImages.js
+// Product and variant images are sub-documents { url, publicId, alt, width,
+// height, sortOrder }, stored in sortOrder; the first one is the primary image.
+
+// URL of the primary image of a product or variant (document or lean object)
+export const primaryImageUrl = (item) => item?.images?.[0]?.url || null;
+
+export const imageUrls = (item) => (item?.images || []).map((image) => image.url);
+
+// Image from a file stored by the Cloudinary multer storage
+export const imageFromUpload = (file) => ({
+  url: file.path || file.secure_url,
+  publicId: file.filename || file.public_id,
+  width: file.width,
+  height: file.height,
+});
+
+// Image from a cloudinary.uploader result (see uploadImage in config/cloudinary.js)
+export const imageFromResult = (result) => ({
+  url: result.secure_url,
+  publicId: result.public_id,
+  width: result.width,
+  height: result.height,
+});
+
+// Images given in JSON (e.g. in variants) may be plain URLs
+export const toImage = (value) => (typeof value === 'string' ? { url: value } : value);
+
+// Put images in sortOrder and renumber them 0..n-1. Images without a
+// sortOrder (new uploads) go last, in the order they were added.
+export const sortImages = (images) => {
+  const position = (image) => (typeof image.sortOrder === 'number' ? image.sortOrder : Number.MAX_SAFE_INTEGER);
+  const ordered = [...images].sort((a, b) => position(a) - position(b));
+  ordered.forEach((image, i) => {
+    if (image.sortOrder !== i) image.sortOrder = i;
+  });
+  return ordered;
+};
+
+const isCloudinaryUrl = (url) => /^https?:\/\/res\.cloudinary\.com\//i.test(url);
+
+// Pair the old parallel images / imagePublicIds arrays (scripts/migrateProductImages.js).
+// Cloudinary URLs contain their public ID, which is matched rather than the
+// index because removing images used to drop the ID but leave the URL. Such
+// left-over Cloudinary URLs (their file is deleted) are returned in `dropped`,
+// unless they are all the product has.
+export const imagesFromLegacy = (urls = [], publicIds = []) => {
+  const images = [];
+  const dropped = [];
+  for (const value of urls) {
+    if (value && typeof value === 'object') {
+      images.push(value);
+      continue;
+    }
+    const publicId = publicIds.find((id) => id && (value.includes(`/${id}.`) || value.endsWith(`/${id}`)));
+    if (publicId || !isCloudinaryUrl(value)) images.push({ url: value, publicId });
+    else dropped.push(value);
+  }
+  if (!images.length && dropped.length) return { images: dropped.map((url) => ({ url })), dropped: [] };
+  images.forEach((image, i) => {
+    image.sortOrder = i;
+  });
+  return { images, dropped };
+};
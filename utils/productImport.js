@@ -0,0 +1,343 @@
+// utils/productImport.js
+// Bulk product import and export for admins. A sheet has one product per row
+// with the columns in SHEET_COLUMNS; CSV cells hold lists as "a|b|c", JSON uses
+// arrays and may nest brand/model/... under `specifications` like the API does.
+//
+// Rows are matched to the catalogue by sku, or by specifications.model when a
+// row has no sku, and every row is validated — with the rules of
+// POST /api/products plus the Product schema — before anything is written.
+// Images are http(s) URLs or file names inside an uploaded zip; new ones are
+// copied to Cloudinary, URLs the product already has are kept as they are.
+
+import path from 'path';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import { uploadImage, deleteImage } from '../config/cloudinary.js';
+import { productCreateRules } from './productValidation.js';
+import { parseCsv, csvLine } from './csv.js';
+import { readZip, ZipError } from './zip.js';
+import { saveWithHistory } from './productHistory.js';
+import { imageUrls, imageFromResult } from './productImages.js';
+import { HttpError } from './httpError.js';
+
+export class ImportError extends HttpError {}
+
+export const MAX_IMPORT_ROWS = 1000;
+const LIST_SEPARATOR = '|';
+
+const SPEC_COLUMNS = ['brand', 'model', 'color', 'weight', 'dimensions', 'warranty', 'year'];
+const LIST_COLUMNS = new Set(['features', 'tags', 'images']);
+const NUMBER_COLUMNS = new Set(['price', 'originalPrice', 'discount', 'stock', 'year']);
+
+export const SHEET_COLUMNS = [
+  'sku', 'name', 'description', 'category', 'condition', 'type', 'availability',
+  'price', 'originalPrice', 'discount', 'stock', 'features', 'tags',
+  ...SPEC_COLUMNS,
+  'isActive', 'images',
+];
+
+const BOOLEANS = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+// ---------------------------------------------------------------------------
+// Export
+
+// Flat sheet row for a product
+const productToRow = (product) => {
+  const row = {};
+  for (const column of SHEET_COLUMNS) {
+    row[column] = SPEC_COLUMNS.includes(column) ? product.specifications?.[column] : product[column];
+  }
+  row.images = imageUrls(product);
+  return row;
+};
+
+export const csvHeader = () => csvLine(SHEET_COLUMNS);
+
+export const productToCsvLine = (product) => {
+  const row = productToRow(product);
+  return csvLine(SHEET_COLUMNS.map((c) => (LIST_COLUMNS.has(c) ? (row[c] || []).join(LIST_SEPARATOR) : row[c])));
+};
+
+// JSON record in the API's shape (specifications nested)
+export const productToRecord = (product) => {
+  const { brand, model, color, weight, dimensions, warranty, year, ...rest } = productToRow(product);
+  return { ...rest, specifications: { brand, model, color, weight, dimensions, warranty, year } };
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+const blank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+// Cleans one column's value; blank means "not given" (keeps the current value on update)
+const normalizeValue = (column, value) => {
+  if (blank(value)) return undefined;
+  if (LIST_COLUMNS.has(column)) {
+    const list = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+    // Images from an API response are { url, ... }
+    return list.map((v) => String(column === 'images' && v && typeof v === 'object' ? v.url : v).trim()).filter(Boolean);
+  }
+  if (column === 'isActive') {
+    if (typeof value === 'boolean') return value;
+    const flag = BOOLEANS[String(value).trim().toLowerCase()];
+    return flag === undefined ? String(value) : flag;
+  }
+  if (NUMBER_COLUMNS.has(column) && typeof value === 'number') return value;
+  return String(value).trim();
+};
+
+const normalizeRow = (record) => {
+  const row = {};
+  for (const column of SHEET_COLUMNS) {
+    const value = normalizeValue(column, record[column]);
+    if (value !== undefined) row[column] = value;
+  }
+  return row;
+};
+
+export const rowsFromCsv = (text) => {
+  let cells;
+  try {
+    cells = parseCsv(text);
+  } catch (error) {
+    throw new ImportError(`Invalid CSV: ${error.message}`);
+  }
+  if (!cells.length) throw new ImportError('The sheet is empty');
+
+  const byLowercase = new Map(SHEET_COLUMNS.map((c) => [c.toLowerCase(), c]));
+  const header = cells[0].map((h) => byLowercase.get(h.trim().toLowerCase()));
+  const unknown = cells[0].filter((h, i) => !header[i] && h.trim());
+  if (unknown.length) {
+    throw new ImportError(`Unknown column(s): ${unknown.join(', ')}`, 400, { columns: SHEET_COLUMNS });
+  }
+
+  return cells.slice(1).map((line) => normalizeRow(Object.fromEntries(header.map((c, i) => [c, line[i]]))));
+};
+
+// Accepts an array of products or { products: [...] }; fields outside the sheet
+// columns (_id, views, ...) are ignored so API responses can be fed back in
+export const rowsFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+  const records = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(records)) throw new ImportError('JSON must be an array of products or { "products": [...] }');
+
+  return records.map((record) => {
+    if (!record || typeof record !== 'object') return {};
+    return normalizeRow({ ...record.specifications, ...record });
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+
+// Zip entries by lowercase full path and by lowercase file name
+const indexZip = (buffer) => {
+  let files;
+  try {
+    files = readZip(buffer);
+  } catch (error) {
+    if (error instanceof ZipError) throw new ImportError(`Invalid image zip: ${error.message}`);
+    throw error;
+  }
+  const index = new Map();
+  for (const [name, data] of files) {
+    if (name.startsWith('__MACOSX/')) continue;
+    index.set(name.toLowerCase(), data);
+    const base = path.posix.basename(name).toLowerCase();
+    if (!index.has(base)) index.set(base, data);
+  }
+  return index;
+};
+
+// Product fields to set from a row (spec columns go under specifications)
+const rowToFields = (row) => {
+  const fields = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column === 'images') continue;
+    const key = SPEC_COLUMNS.includes(column) ? `specifications.${column}` : column;
+    fields[key] = NUMBER_COLUMNS.has(column) ? Number(value) : value;
+  }
+  return fields;
+};
+
+const schemaErrors = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map((e) => e.message) : [];
+};
+
+const ruleErrors = async (values) => {
+  const req = { body: { ...values } };
+  for (const rule of productCreateRules) await rule.run(req);
+  return validationResult(req).array().map((e) => e.msg);
+};
+
+const loadMatches = async (rows) => {
+  const skus = [...new Set(rows.map((r) => r.sku?.toUpperCase()).filter(Boolean))];
+  const models = [...new Set(rows.filter((r) => !r.sku && r.model).map((r) => r.model))];
+  const [bySku, byModel] = await Promise.all([
+    skus.length ? Product.find({ sku: { $in: skus } }).lean() : [],
+    models.length ? Product.find({ 'specifications.model': { $in: models } }).lean() : [],
+  ]);
+
+  const skuMap = new Map(bySku.map((p) => [p.sku, p]));
+  const modelMap = new Map();
+  for (const p of byModel) {
+    const key = p.specifications.model;
+    modelMap.set(key, [...(modelMap.get(key) || []), p]);
+  }
+  return { skuMap, modelMap };
+};
+
+// Dry run: what each row would do, with its errors. Nothing is written.
+export const planImport = async (rows, { zip } = {}) => {
+  if (!rows.length) throw new ImportError('The sheet has no product rows');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`A sheet can have at most ${MAX_IMPORT_ROWS} rows`, 413);
+  }
+
+  const images = zip ? indexZip(zip) : null;
+  const { skuMap, modelMap } = await loadMatches(rows);
+  const seenKeys = new Map();
+  const plan = [];
+
+  for (const [i, row] of rows.entries()) {
+    const entry = { row: i + 1, errors: [] };
+    plan.push(entry);
+
+    const key = row.sku ? { sku: row.sku.toUpperCase() } : row.model ? { model: row.model } : null;
+    if (key) {
+      entry.key = key;
+      const keyText = key.sku ? `sku:${key.sku}` : `model:${key.model}`;
+      if (seenKeys.has(keyText)) {
+        entry.errors.push(`Same ${key.sku ? 'sku' : 'model'} as row ${seenKeys.get(keyText)}`);
+        continue;
+      }
+      seenKeys.set(keyText, entry.row);
+    } else {
+      entry.errors.push('A row needs a sku or a model to match products on');
+    }
+
+    let existing = key?.sku ? skuMap.get(key.sku) : undefined;
+    if (key?.model) {
+      const matches = modelMap.get(key.model) || [];
+      if (matches.length > 1) {
+        entry.errors.push(`Model matches ${matches.length} products; add a sku to pick one`);
+        continue;
+      }
+      existing = matches[0];
+    }
+
+    // The product as it would be saved must satisfy the create rules
+    const values = Object.entries({ ...(existing && productToRow(existing)), ...row })
+      .filter(([, v]) => v !== undefined && v !== null);
+    entry.errors.push(...(await ruleErrors(Object.fromEntries(values))));
+    if (typeof row.isActive === 'string') entry.errors.push('isActive must be true or false');
+
+    const refs = row.images || [];
+    for (const ref of refs) {
+      if (isUrl(ref)) continue;
+      if (!images) entry.errors.push(`Image "${ref}" is not a URL and no image zip was uploaded`);
+      else if (!images.has(ref.toLowerCase())) entry.errors.push(`Image "${ref}" is not in the zip`);
+    }
+    if (!existing && !refs.length) entry.errors.push('At least one image is required');
+
+    const doc = existing
+      ? Product.hydrate(existing)
+      : new Product({ images: [{ url: 'pending' }], createdBy: new mongoose.Types.ObjectId() });
+    doc.set(rowToFields(row));
+    if (!entry.errors.length) entry.errors.push(...schemaErrors(doc));
+
+    const changes = doc.directModifiedPaths().filter((p) => !['images', 'createdBy'].includes(p));
+    const imagesChanged = refs.length > 0 && refs.join('\n') !== imageUrls(existing).join('\n');
+    entry.action = !existing ? 'create' : changes.length || imagesChanged ? 'update' : 'unchanged';
+    if (existing) {
+      entry.productId = existing._id;
+      entry.changes = imagesChanged ? [...changes, 'images'] : changes;
+    }
+
+    // Kept for applyImport, not reported
+    Object.defineProperty(entry, 'work', { value: { doc, refs, existing, imagesChanged }, enumerable: false });
+  }
+
+  return { plan, images };
+};
+
+export const summarize = (plan) => {
+  const summary = { rows: plan.length, create: 0, update: 0, unchanged: 0, invalid: 0, failed: 0 };
+  for (const entry of plan) {
+    if (entry.failed) summary.failed++;
+    else if (entry.errors.length) summary.invalid++;
+    else summary[entry.action]++;
+  }
+  return summary;
+};
+
+// ---------------------------------------------------------------------------
+// Apply
+
+// Writes a validated plan. Rows are saved one at a time; a row that fails
+// (image download, a SKU taken meanwhile, ...) is marked failed and the rest
+// carry on, so the report says exactly what was imported.
+export const applyImport = async ({ plan, images }, { userId }) => {
+  // Each distinct image is uploaded once, however many rows use it
+  const uploads = new Map();
+  const upload = async (ref, uploadedByRow) => {
+    const cacheKey = isUrl(ref) ? ref : ref.toLowerCase();
+    if (!uploads.has(cacheKey)) {
+      const source = isUrl(ref) ? ref : images.get(cacheKey);
+      uploads.set(cacheKey, uploadImage(source).then(imageFromResult));
+      uploadedByRow.push(cacheKey);
+    }
+    return uploads.get(cacheKey);
+  };
+
+  for (const entry of plan) {
+    if (entry.action === 'unchanged') continue;
+    const { doc, refs, existing, imagesChanged } = entry.work;
+    const uploaded = [];
+    let removedPublicIds = [];
+
+    try {
+      if (imagesChanged || !existing) {
+        // Images the product already has keep their alt text and size
+        const current = existing?.images || [];
+        const kept = [];
+        for (const ref of refs) {
+          const image = current.find((i) => i.url === ref) || (await upload(ref, uploaded));
+          kept.push({ ...image, sortOrder: kept.length });
+        }
+        const keptIds = new Set(kept.map((k) => k.publicId));
+        removedPublicIds = current.map((i) => i.publicId).filter((id) => id && !keptIds.has(id));
+        doc.images = kept;
+      }
+      if (!existing) doc.createdBy = userId;
+
+      await saveWithHistory(doc, { changedBy: userId, source: 'import' });
+      entry.productId = doc._id;
+    } catch (error) {
+      entry.failed = true;
+      entry.errors.push(error.code === 11000 ? 'A product with this SKU already exists' : error.message);
+      // Images first uploaded for this row would be orphaned; later rows that
+      // use them upload again
+      for (const cacheKey of uploaded) {
+        const image = await uploads.get(cacheKey).catch(() => null);
+        uploads.delete(cacheKey);
+        if (image?.publicId) {
+          try { await deleteImage(image.publicId); } catch (e) { /* ignore delete failures */ }
+        }
+      }
+      continue;
+    }
+
+    for (const publicId of removedPublicIds) {
+      try { await deleteImage(publicId); } catch (e) { /* ignore delete failures */ }
+    }
+  }
+};
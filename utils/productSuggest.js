@@ -0,0 +1,127 @@
+// utils/productSuggest.js
+// Suggest-as-you-type over the catalogue, MongoDB only. Candidates come from
+// the product's searchTokens (prefix of the word being typed) and searchGrams
+// (shared trigrams, which survive typos); they are then scored here, word by
+// word, weighting name over brand/model, tags, category and description.
+
+import Product from '../models/Product.js';
+import { tokenize, trigrams, editDistance, allowedTypos, SEARCH_FIELDS } from './searchIndex.js';
+import { primaryImageUrl } from './productImages.js';
+import { escapeRegex } from './regex.js';
+
+const CANDIDATE_LIMIT = 150;
+const MIN_SCORE = 0.25;
+
+// How well query word `q` matches product word `t` (0..1). The last query
+// word may still be half-typed, so it also matches word prefixes.
+const wordMatch = (q, t, isLast) => {
+  if (q === t) return 1;
+  if (isLast && q.length >= 2 && t.startsWith(q)) return 0.9;
+  if (!isLast && q.length >= 4 && t.startsWith(q)) return 0.8;
+
+  const typos = allowedTypos(q.length);
+  if (!typos) return 0;
+  const full = editDistance(q, t, typos);
+  if (full <= typos) return 0.75 - 0.15 * (full - 1);
+  if (isLast && t.length > q.length) {
+    const partial = editDistance(q, t.slice(0, q.length), typos);
+    if (partial <= typos) return 0.6 - 0.15 * (partial - 1);
+  }
+  return 0;
+};
+
+// Best weighted match of each query word anywhere in the product; normalised
+// so a query whose every word hits the name exactly scores 1
+const scoreProduct = (queryWords, fieldTokens) => {
+  const maxWeight = SEARCH_FIELDS[0].weight;
+  let total = 0;
+  let matched = 0;
+  queryWords.forEach((q, i) => {
+    const isLast = i === queryWords.length - 1;
+    let best = 0;
+    for (const { weight, tokens } of fieldTokens) {
+      for (const t of tokens) {
+        const m = wordMatch(q, t, isLast) * weight;
+        if (m > best) best = m;
+      }
+    }
+    if (best > 0) matched++;
+    total += best;
+  });
+  // Every word must match, except one in queries of three or more words
+  if (matched < queryWords.length - (queryWords.length >= 3 ? 1 : 0)) return 0;
+  return total / (maxWeight * queryWords.length);
+};
+
+// Brand, model and tag values worth offering as search terms
+const termCandidates = (product) => [
+  { type: 'brand', value: product.specifications?.brand },
+  { type: 'model', value: product.specifications?.model },
+  ...(product.tags || []).map((tag) => ({ type: 'tag', value: tag })),
+].filter((c) => c.value);
+
+// Ranked suggestions for `q`: products first-class, plus brand/model/tag terms
+export const suggestProducts = async (q, { limit = 8 } = {}) => {
+  const queryWords = tokenize(q).slice(0, 6);
+  if (!queryWords.length) return [];
+
+  const last = queryWords[queryWords.length - 1];
+  const grams = [...new Set(queryWords.flatMap(trigrams))];
+
+  const candidates = await Product.aggregate([
+    {
+      $match: {
+        isActive: true,
+        $or: [
+          { searchTokens: { $regex: `^${escapeRegex(last)}` } },
+          { searchGrams: { $in: grams } },
+        ],
+      },
+    },
+    { $addFields: { overlap: { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } } } },
+    { $sort: { overlap: -1, likes: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    {
+      $project: {
+        name: 1, description: 1, category: 1, tags: 1, specifications: 1,
+        images: { $slice: ['$images', 1] }, price: 1, availability: 1, views: 1,
+      },
+    },
+  ]);
+
+  const productSuggestions = [];
+  const terms = new Map();
+
+  for (const product of candidates) {
+    const fieldTokens = SEARCH_FIELDS.map((f) => ({ weight: f.weight, tokens: tokenize(f.value(product)) }));
+    const score = scoreProduct(queryWords, fieldTokens);
+    if (score < MIN_SCORE) continue;
+
+    // Popular products win ties
+    const popularity = Math.log10(1 + (product.views || 0)) / 100;
+    productSuggestions.push({
+      type: 'product',
+      value: product.name,
+      productId: product._id,
+      image: primaryImageUrl(product),
+      price: product.price,
+      availability: product.availability,
+      score: Math.round((score + popularity) * 1000) / 1000,
+    });
+
+    for (const term of termCandidates(product)) {
+      const key = `${term.type}:${term.value.toLowerCase()}`;
+      if (terms.has(key)) continue;
+      const termScore = scoreProduct(queryWords, [{ weight: SEARCH_FIELDS[0].weight, tokens: tokenize(term.value) }]);
+      if (termScore >= MIN_SCORE) terms.set(key, { ...term, score: Math.round(termScore * 1000) / 1000 });
+    }
+  }
+
+  productSuggestions.sort((a, b) => b.score - a.score);
+  const termSuggestions = [...terms.values()].sort((a, b) => b.score - a.score);
+
+  // Mostly products, with a few search terms when they match well
+  const termSlots = Math.min(termSuggestions.length, Math.max(2, Math.floor(limit / 3)));
+  const products = productSuggestions.slice(0, limit - termSlots);
+  return [...products, ...termSuggestions.slice(0, limit - products.length)].sort((a, b) => b.score - a.score);
+};
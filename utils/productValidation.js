@@ -0,0 +1,31 @@
+// utils/productValidation.js
+// Body rules for creating a product, shared by POST /api/products and the
+// bulk import (which runs them against each row).
+
+import { body } from 'express-validator';
+
+export const PRODUCT_CATEGORIES = ['Laptops', 'Desktops', 'Security', 'Accessories', 'Audio', 'Networking', 'Components', 'Monitors', 'Storage', 'Gaming'];
+export const PRODUCT_CONDITIONS = ['New', 'Excellent', 'Very Good', 'Good', 'Fair'];
+export const PRODUCT_TYPES = ['Second Hand', 'New/Refurbished', 'Spare Parts', 'Refurbished'];
+export const PRODUCT_AVAILABILITY = ['Available', 'Out of Stock', 'Discontinued'];
+
+export const skuRule = () =>
+  body('sku')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9._/-]{1,64}$/)
+    .withMessage('SKU may only contain letters, digits, ".", "_", "/" and "-" (max 64)');
+
+export const productCreateRules = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Product name is required (2-100 chars)'),
+  body('description').trim().isLength({ min: 5, max: 1000 }).withMessage('Description is required (5-1000 chars)'),
+  body('category').isIn(PRODUCT_CATEGORIES).withMessage('Invalid category'),
+  body('condition').isIn(PRODUCT_CONDITIONS).withMessage('Invalid condition'),
+  body('type').isIn(PRODUCT_TYPES).withMessage('Invalid type'),
+  body('availability').optional().isIn(PRODUCT_AVAILABILITY).withMessage('Invalid availability'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+  body('originalPrice').optional().isFloat({ min: 0 }).withMessage('Original price must be a non-negative number'),
+  body('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  skuRule(),
+];
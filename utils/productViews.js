@@ -0,0 +1,142 @@
+// utils/productViews.js
+// Product view tracking. Each view is an insert into ProductView, which the
+// unique (productId, viewerKey, window) index deduplicates; only a view that
+// was actually inserted bumps Product.views and the day's ProductViewDaily
+// rollup, both with atomic $inc. Bots are not counted at all.
+
+import crypto from 'crypto';
+import Product from '../models/Product.js';
+import ProductView from '../models/ProductView.js';
+import ProductViewDaily from '../models/ProductViewDaily.js';
+import { istDateKey } from './pickupSlots.js';
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse|curl|wget|python-requests|axios/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getDedupMinutes = () => {
+  const minutes = Number(process.env.PRODUCT_VIEW_DEDUP_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+const getRetentionDays = () => {
+  const days = Number(process.env.PRODUCT_VIEW_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 90;
+};
+
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Who is viewing: the signed-in user, else a hash of IP + user agent (raw IPs
+// are never stored). Nothing the client can freely vary per request, such as a
+// session header, is used, or every request would count as a new viewer.
+export const viewerKeyFor = ({ userId, ip, userAgent }) => {
+  if (userId) return `u:${userId}`;
+  const hash = crypto.createHash('sha256').update(`${ip}|${userAgent}`).digest('hex').slice(0, 32);
+  return `ip:${hash}`;
+};
+
+const bumpDaily = async (productId, date, byUser, retried = false) => {
+  try {
+    await ProductViewDaily.updateOne(
+      { productId, date },
+      { $inc: { views: 1, userViews: byUser ? 1 : 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two first-views of the day raced to create the rollup; the retry finds it
+    if (error.code === 11000 && !retried) return bumpDaily(productId, date, byUser, true);
+    throw error;
+  }
+};
+
+// Record a view of `productId`. Returns { counted, views }.
+export const recordView = async (productId, viewer, now = new Date()) => {
+  const currentViews = async () => (await Product.findById(productId).select('views').lean())?.views ?? 0;
+
+  if (isBot(viewer.userAgent)) return { counted: false, views: await currentViews() };
+
+  const windowMs = getDedupMinutes() * 60 * 1000;
+  const date = istDateKey(now);
+  try {
+    await ProductView.create({
+      productId,
+      viewerKey: viewerKeyFor(viewer),
+      userId: viewer.userId,
+      window: Math.floor(now.getTime() / windowMs),
+      date,
+      referrer: viewer.referrer ? String(viewer.referrer).slice(0, 300) : undefined,
+      expiresAt: new Date(now.getTime() + getRetentionDays() * DAY_MS),
+    });
+  } catch (error) {
+    if (error.code === 11000) return { counted: false, views: await currentViews() };
+    throw error;
+  }
+
+  const [product] = await Promise.all([
+    Product.findOneAndUpdate({ _id: productId }, { $inc: { views: 1 } }, { new: true, projection: { views: 1 } }).lean(),
+    bumpDaily(productId, date, Boolean(viewer.userId)),
+  ]);
+  return { counted: true, views: product?.views ?? 0 };
+};
+
+// IST date key `days` days before `now`'s date
+const daysAgoKey = (days, now = new Date()) => istDateKey(new Date(now.getTime() - days * DAY_MS));
+
+// Daily views of one product for every date key in `dates`
+export const productViewSeries = async (productId, dates) => {
+  if (!dates.length) return [];
+  const rows = await ProductViewDaily.find({ productId, date: { $gte: dates[0], $lte: dates[dates.length - 1] } })
+    .select('date views userViews')
+    .lean();
+  const byDate = new Map(rows.map((r) => [r.date, r]));
+  return dates.map((date) => ({
+    date,
+    views: byDate.get(date)?.views || 0,
+    userViews: byDate.get(date)?.userViews || 0,
+  }));
+};
+
+// Most viewed active products over the last `days` days (today included),
+// with the previous period of the same length for comparison
+export const trendingProducts = async ({ days = 7, limit = 10, category, now = new Date() } = {}) => {
+  const from = daysAgoKey(days - 1, now);
+  const previousFrom = daysAgoKey(2 * days - 1, now);
+
+  const rows = await ProductViewDaily.aggregate([
+    { $match: { date: { $gte: previousFrom } } },
+    {
+      $group: {
+        _id: '$productId',
+        views: { $sum: { $cond: [{ $gte: ['$date', from] }, '$views', 0] } },
+        previousViews: { $sum: { $cond: [{ $lt: ['$date', from] }, '$views', 0] } },
+      },
+    },
+    { $match: { views: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [
+          { $match: { isActive: true, ...(category && { category }) } },
+          { $project: { name: 1, category: 1, images: { $slice: ['$images', 1] }, price: 1, originalPrice: 1, availability: 1 } },
+        ],
+        as: 'product',
+      },
+    },
+    { $unwind: '$product' },
+    { $sort: { views: -1, previousViews: 1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  return {
+    from,
+    to: istDateKey(now),
+    products: rows.map((r) => ({
+      product: r.product,
+      views: r.views,
+      previousViews: r.previousViews,
+      // Percentage change against the previous period; null when it had no views
+      growth: r.previousViews ? Math.round(((r.views - r.previousViews) / r.previousViews) * 1000) / 10 : null,
+    })),
+  };
+};
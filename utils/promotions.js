@@ -0,0 +1,110 @@
+// utils/promotions.js
+// Promotion rules: finding a code, working out the discount for a set of
+// line items, and recording / releasing a use inside a booking transaction.
+
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import { round2, sumLineItems } from './pricing.js';
+import { HttpError } from './httpError.js';
+
+export class PromotionError extends HttpError {}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+export const findPromotion = async (code) => {
+  const promotion = await Promotion.findOne({ code: normalizeCode(code) });
+  if (!promotion) throw new PromotionError('Invalid promo code', 404);
+  return promotion;
+};
+
+const isInScope = (promotion, item) => {
+  const hasCategories = promotion.categories?.length > 0;
+  const hasProducts = promotion.products?.length > 0;
+  if (!hasCategories && !hasProducts) return true;
+  if (hasProducts && promotion.products.some((id) => id.toString() === item.productId.toString())) return true;
+  return hasCategories && promotion.categories.includes(item.productCategory);
+};
+
+const countUserRedemptions = (promotion, userId, session) =>
+  PromotionRedemption.countDocuments({ promotionId: promotion._id, userId, releasedAt: null }).session(session || null);
+
+// Check every rule of `promotion` against the line items (price snapshots from
+// utils/pricing.js) and return the discount. Throws PromotionError when a rule fails.
+export const evaluatePromotion = async (promotion, { items, userId, now = new Date() }) => {
+  if (!promotion.isActive) throw new PromotionError('This promo code is no longer active');
+  if (promotion.startsAt && now < promotion.startsAt) throw new PromotionError('This promo code is not active yet');
+  if (promotion.endsAt && now > promotion.endsAt) throw new PromotionError('This promo code has expired');
+
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    throw new PromotionError('This promo code has reached its usage limit');
+  }
+  if (promotion.perUserLimit && userId) {
+    const used = await countUserRedemptions(promotion, userId);
+    if (used >= promotion.perUserLimit) {
+      throw new PromotionError('You have already used this promo code the maximum number of times');
+    }
+  }
+
+  const subtotal = sumLineItems(items);
+  if (promotion.minOrderValue && subtotal < promotion.minOrderValue) {
+    throw new PromotionError(
+      `Minimum order value for this promo code is ₹${promotion.minOrderValue.toLocaleString('en-IN')}`,
+      400,
+      { minOrderValue: promotion.minOrderValue, subtotal }
+    );
+  }
+
+  const eligibleSubtotal = sumLineItems(items.filter((item) => isInScope(promotion, item)));
+  if (eligibleSubtotal <= 0) {
+    throw new PromotionError('This promo code does not apply to the selected products');
+  }
+
+  let discountAmount =
+    promotion.discountType === 'percentage'
+      ? (eligibleSubtotal * promotion.discountValue) / 100
+      : promotion.discountValue;
+  if (promotion.maxDiscount) discountAmount = Math.min(discountAmount, promotion.maxDiscount);
+  discountAmount = round2(Math.min(discountAmount, eligibleSubtotal));
+
+  return {
+    code: promotion.code,
+    subtotal,
+    eligibleSubtotal,
+    discountAmount,
+    totalAmount: round2(subtotal - discountAmount),
+  };
+};
+
+// Record a use of the promotion for a booking. Limits are re-checked inside the
+// transaction; the usageCount update makes concurrent redemptions conflict.
+export const redeemPromotion = async (promotion, { userId, bookingId, discountAmount, session }) => {
+  const filter = { _id: promotion._id, isActive: true };
+  if (promotion.usageLimit) filter.usageCount = { $lt: promotion.usageLimit };
+
+  const updated = await Promotion.findOneAndUpdate(filter, { $inc: { usageCount: 1 } }, { new: true, session });
+  if (!updated) throw new PromotionError('This promo code has reached its usage limit');
+
+  if (updated.perUserLimit) {
+    const used = await countUserRedemptions(updated, userId, session);
+    if (used >= updated.perUserLimit) {
+      throw new PromotionError('You have already used this promo code the maximum number of times');
+    }
+  }
+
+  await PromotionRedemption.create(
+    [{ promotionId: promotion._id, code: promotion.code, userId, bookingId, discountAmount }],
+    { session }
+  );
+};
+
+// Give a cancelled booking's promotion use back
+export const releasePromotion = async (bookingId, session) => {
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { bookingId, releasedAt: null },
+    { $set: { releasedAt: new Date() } },
+    { session }
+  );
+  if (redemption) {
+    await Promotion.updateOne({ _id: redemption.promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }, { session });
+  }
+};
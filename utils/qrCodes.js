@@ -0,0 +1,16 @@
+// utils/qrCodes.js
+// QR codes for booking coupon codes, generated locally with `qrcode`.
+// The payload is the coupon code itself so any scanner can feed it straight
+// into POST /api/bookings/coupon/:couponCode/redeem.
+
+import QRCode from 'qrcode';
+
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2 };
+
+export const qrPayload = (booking) => booking.couponCode;
+
+export const renderQrPng = (booking, width = 320) =>
+  QRCode.toBuffer(qrPayload(booking), { ...QR_OPTIONS, type: 'png', width });
+
+export const renderQrSvg = (booking, width = 320) =>
+  QRCode.toString(qrPayload(booking), { ...QR_OPTIONS, type: 'svg', width });
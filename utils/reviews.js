@@ -0,0 +1,66 @@
+// utils/reviews.js
+// Review eligibility and the rating summary kept on Product. The summary is
+// recomputed from the approved reviews (not incremented), so it cannot drift
+// however reviews are approved, hidden or deleted.
+
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import { HttpError } from './httpError.js';
+
+export class ReviewError extends HttpError {}
+
+const containsProduct = (productId) => ({
+  $or: [{ productId }, { 'items.productId': productId }],
+});
+
+// The completed booking of `productId` that `userId` may review. With a
+// bookingId it must be that booking; otherwise the latest one not yet reviewed.
+export const findReviewableBooking = async (userId, productId, bookingId) => {
+  const id = new mongoose.Types.ObjectId(productId);
+
+  if (bookingId) {
+    const booking = await Booking.findOne({ _id: bookingId, userId, ...containsProduct(id) });
+    if (!booking) throw new ReviewError('You can only review products you have bought', 403);
+    if (booking.status !== 'completed') throw new ReviewError('You can review this product once the booking is completed', 403);
+    if (await Review.exists({ bookingId: booking._id, productId: id })) {
+      throw new ReviewError('You have already reviewed this product for this booking', 409);
+    }
+    return booking;
+  }
+
+  const completed = await Booking.find({ userId, status: 'completed', ...containsProduct(id) })
+    .select('_id completedAt')
+    .sort({ completedAt: -1 });
+  if (!completed.length) throw new ReviewError('Only customers who bought this product can review it', 403);
+
+  const reviewed = await Review.find({ productId: id, bookingId: { $in: completed.map((b) => b._id) } }).distinct('bookingId');
+  const reviewedIds = new Set(reviewed.map(String));
+  const booking = completed.find((b) => !reviewedIds.has(String(b._id)));
+  if (!booking) throw new ReviewError('You have already reviewed this product', 409);
+  return booking;
+};
+
+// Recompute Product.ratingAverage/ratingCount from its approved reviews
+export const refreshProductRating = async (productId, session) => {
+  const [summary] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]).session(session || null);
+
+  const ratingAverage = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const ratingCount = summary ? summary.count : 0;
+  await Product.updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } }, { session });
+  return { ratingAverage, ratingCount };
+};
+
+// Count of approved reviews per star, 5 down to 1
+export const ratingDistribution = async (productId) => {
+  const rows = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  return [5, 4, 3, 2, 1].map((stars) => ({ stars, count: counts[stars] || 0 }));
+};
@@ -0,0 +1,81 @@
+// utils/searchIndex.js
+// Text helpers for autocomplete: normalised tokens, character trigrams and a
+// bounded edit distance. Product keeps `searchTokens` (every word) and
+// `searchGrams` (trigrams of the short fields) so MongoDB can find prefix and
+// typo candidates from ordinary multikey indexes.
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by']);
+
+// Lowercase words of letters/digits; accents are folded ("café" -> "cafe")
+export const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+
+// Trigrams of a token, padded at the start so the first letters weigh more:
+// "dell" -> ["$de", "del", "ell"]. Tokens under three letters are kept whole.
+export const trigrams = (token) => {
+  if (token.length < 3) return [token];
+  const padded = `$${token}`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Optimal string alignment distance (insert, delete, substitute, swap adjacent),
+// giving up once it exceeds `max`
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Typos allowed for a query word of this length
+export const allowedTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Fields of a product that are matched, and how much a match in each is worth
+export const SEARCH_FIELDS = [
+  { name: 'name', weight: 3, value: (p) => p.name },
+  { name: 'brand', weight: 2.5, value: (p) => p.specifications?.brand },
+  { name: 'model', weight: 2.5, value: (p) => p.specifications?.model },
+  { name: 'tags', weight: 1.5, value: (p) => (p.tags || []).join(' ') },
+  { name: 'category', weight: 1, value: (p) => p.category },
+  { name: 'description', weight: 0.5, value: (p) => p.description },
+];
+
+// Only these fields feed the trigram index; descriptions are long and would
+// match almost any typo
+const GRAM_FIELDS = new Set(['name', 'brand', 'model', 'tags', 'category']);
+
+// { searchTokens, searchGrams } for a product document
+export const buildSearchIndex = (product) => {
+  const tokens = new Set();
+  const grams = new Set();
+  for (const field of SEARCH_FIELDS) {
+    for (const token of tokenize(field.value(product))) {
+      tokens.add(token);
+      if (GRAM_FIELDS.has(field.name)) trigrams(token).forEach((g) => grams.add(g));
+    }
+  }
+  return { searchTokens: [...tokens], searchGrams: [...grams] };
+};
@@ -0,0 +1,138 @@
+// utils/stock.js
+// Atomic stock reservation helpers. Every function takes the mongoose session
+// of the surrounding transaction so stock moves together with the booking.
+
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { emitWebhookEvent, productPayload } from './webhooks.js';
+import { findVariant, variantLabel } from './variants.js';
+import { HttpError } from './httpError.js';
+
+export class StockError extends HttpError {
+  constructor(message, status = 409, details) {
+    super(message, status, details);
+  }
+}
+
+// Keep availability in sync with the remaining stock inside the same update.
+// 'Discontinued' is an admin decision and is never touched here.
+const syncAvailability = {
+  $set: {
+    availability: {
+      $switch: {
+        branches: [
+          { case: { $eq: ['$availability', 'Discontinued'] }, then: '$availability' },
+          { case: { $lte: ['$stock', 0] }, then: 'Out of Stock' },
+        ],
+        default: 'Available',
+      },
+    },
+  },
+};
+
+// Pipeline stages that move one variant's stock by `delta` and re-derive the
+// product's stock as the total of its active variants
+const adjustVariantStock = (variantId, delta) => {
+  const id = new mongoose.Types.ObjectId(String(variantId));
+  return [
+    {
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'v',
+            in: {
+              $cond: [
+                { $eq: ['$$v._id', id] },
+                { $mergeObjects: ['$$v', { stock: { $add: ['$$v.stock', delta] } }] },
+                '$$v',
+              ],
+            },
+          },
+        },
+      },
+    },
+    {
+      $set: {
+        stock: {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$variants', as: 'v', cond: { $eq: ['$$v.isActive', true] } } },
+              as: 'v',
+              in: '$$v.stock',
+            },
+          },
+        },
+      },
+    },
+  ];
+};
+
+// Take `quantity` units out of stock — of the product, or of one of its
+// variants — or throw a 409 when there is not enough.
+export const reserveStock = async (productId, quantity, session, variantId) => {
+  const available = { _id: productId, isActive: true, availability: 'Available' };
+  const updated = variantId
+    ? await Product.findOneAndUpdate(
+        { ...available, variants: { $elemMatch: { _id: variantId, isActive: true, stock: { $gte: quantity } } } },
+        [...adjustVariantStock(variantId, -quantity), syncAvailability],
+        { new: true, session }
+      )
+    : await Product.findOneAndUpdate(
+        { ...available, stock: { $gte: quantity } },
+        [{ $set: { stock: { $subtract: ['$stock', quantity] } } }, syncAvailability],
+        { new: true, session }
+      );
+
+  if (!updated) {
+    const current = await Product.findById(productId).select('stock availability isActive variantOptions variants').session(session);
+    if (!current || !current.isActive || current.availability === 'Discontinued') {
+      throw new StockError('Product is not available for booking', 400);
+    }
+    let units = current.stock;
+    let of = '';
+    let what = 'Product';
+    if (variantId) {
+      const variant = findVariant(current, variantId);
+      if (!variant || !variant.isActive) throw new StockError('The chosen variant is not available for booking', 400);
+      units = variant.stock;
+      what = variantLabel(current, variant);
+      of = ` of ${what}`;
+    }
+    units = Math.max(units || 0, 0);
+    throw new StockError(
+      units > 0 ? `Only ${units} unit(s)${of} left in stock` : `${what} is out of stock`,
+      409,
+      { requested: quantity, available: units }
+    );
+  }
+
+  // The filter required 'Available', so this reservation took the last unit
+  if (updated.availability === 'Out of Stock') {
+    await emitWebhookEvent('product.out_of_stock', productPayload(updated), session);
+  }
+
+  return updated;
+};
+
+// Put reserved units back (booking cancelled / expired / returned and restocked).
+// Units of a variant that no longer exists have nowhere to go and are dropped.
+export const releaseStock = async (productId, quantity, session, variantId) => {
+  const updated = variantId
+    ? await Product.findOneAndUpdate(
+        { _id: productId, 'variants._id': variantId },
+        [...adjustVariantStock(variantId, quantity), syncAvailability],
+        { new: true, session }
+      )
+    : await Product.findOneAndUpdate(
+        { _id: productId },
+        [{ $set: { stock: { $add: ['$stock', quantity] } } }, syncAvailability],
+        { new: true, session }
+      );
+
+  if (updated && updated.availability === 'Available' && updated.stock - quantity <= 0) {
+    await emitWebhookEvent('product.back_in_stock', productPayload(updated), session);
+  }
+
+  return updated;
+};
@@ -0,0 +1,16 @@
+// utils/validation.js
+import { validationResult } from 'express-validator';
+
+// Answer 400 with the express-validator errors, if any. Returns true when the
+// response has been sent. Routes whose responses carry no `success` flag pass
+// { withSuccess: false }.
+export const validationFailed = (req, res, { withSuccess = true } = {}) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    ...(withSuccess && { success: false }),
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return true;
+};
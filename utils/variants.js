@@ -0,0 +1,62 @@
+// utils/variants.js
+// Product variants: builds of one listing that differ on option axes (RAM,
+// storage, colour, ...), each with its own SKU, price, stock and images.
+// A product with variants is always bought as one of them; its own price and
+// stock are derived from the active variants (see models/Product.js).
+
+export const hasVariants = (product) => Boolean(product?.variants?.length);
+
+// Works for Mongoose Maps (documents) and plain objects (lean results)
+const optionValue = (variant, name) =>
+  typeof variant.options?.get === 'function' ? variant.options.get(name) : variant.options?.[name];
+
+const optionNames = (variant) =>
+  typeof variant.options?.keys === 'function' ? [...variant.options.keys()] : Object.keys(variant.options || {});
+
+export const findVariant = (product, variantId) =>
+  (variantId && product?.variants?.find((v) => String(v._id) === String(variantId))) || null;
+
+// "16GB / 512GB", in the order the product lists its axes
+export const variantLabel = (product, variant) =>
+  (product.variantOptions || []).map((axis) => optionValue(variant, axis.name)).filter(Boolean).join(' / ');
+
+// Identifies a cart/booking/return line: the same product in two variants is two lines
+export const lineKey = (line) => `${line.productId}:${line.variantId || ''}`;
+
+// Everything wrong with a product's axes and variants (empty when valid)
+export const variantProblems = (product) => {
+  const axes = product.variantOptions || [];
+  const variants = product.variants || [];
+  const problems = [];
+  if (!variants.length) return problems;
+  if (!axes.length) return ['Variants need at least one option axis in variantOptions'];
+
+  const axisNames = new Set();
+  for (const axis of axes) {
+    if (axisNames.has(axis.name)) problems.push(`Option "${axis.name}" is listed twice`);
+    axisNames.add(axis.name);
+    if (!axis.values?.length) problems.push(`Option "${axis.name}" has no values`);
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  variants.forEach((variant, i) => {
+    const name = variant.sku || `#${i + 1}`;
+    for (const extra of optionNames(variant).filter((n) => !axisNames.has(n))) {
+      problems.push(`Variant ${name} uses unknown option "${extra}"`);
+    }
+    for (const axis of axes) {
+      const value = optionValue(variant, axis.name);
+      if (!value) problems.push(`Variant ${name} is missing a value for "${axis.name}"`);
+      else if (!axis.values.includes(value)) problems.push(`Variant ${name} has invalid ${axis.name} "${value}"`);
+    }
+    const combination = axes.map((axis) => optionValue(variant, axis.name)).join('\u0000');
+    if (combinations.has(combination)) problems.push(`Variant ${name} repeats the options of another variant`);
+    combinations.add(combination);
+    if (variant.sku) {
+      if (skus.has(variant.sku)) problems.push(`SKU ${variant.sku} is used by two variants`);
+      skus.add(variant.sku);
+    }
+  });
+  return problems;
+};
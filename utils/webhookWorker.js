@@ -0,0 +1,133 @@
+// utils/webhookWorker.js
+// Sends queued webhook deliveries: signed JSON POSTs, exponential backoff on
+// failure, marked failed after WEBHOOK_MAX_ATTEMPTS. Every attempt is logged
+// on the delivery with its response code.
+
+import cron from 'node-cron';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import { signPayload } from './webhooks.js';
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_BODY = 1000;
+const MAX_LOGGED_ATTEMPTS = 20;
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+const claimNext = (now = new Date()) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+// POST one delivery and record the outcome
+export const sendDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  const started = Date.now();
+  let responseStatus;
+  let responseBody;
+  let error;
+
+  if (!subscription || !subscription.isActive) {
+    error = 'Subscription removed or inactive';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GlobalITZone-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_BODY);
+      if (!response.ok) error = `Endpoint responded ${response.status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? 'Request timed out' : e.message;
+    }
+  }
+
+  const durationMs = Date.now() - started;
+  const succeeded = !error;
+  const giveUp = !succeeded && (delivery.attempts >= getMaxAttempts() || !subscription?.isActive);
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: succeeded ? 'succeeded' : giveUp ? 'failed' : 'pending',
+        lastResponseStatus: responseStatus,
+        lastResponseBody: responseBody,
+        lastError: error,
+        ...(succeeded && { deliveredAt: new Date() }),
+        ...(!succeeded && { nextAttemptAt: new Date(Date.now() + backoffDelay(delivery.attempts)) }),
+      },
+      $unset: { lockedAt: '' },
+      $push: { attemptLog: { $each: [{ at: new Date(started), responseStatus, error, durationMs }], $slice: -MAX_LOGGED_ATTEMPTS } },
+    }
+  );
+  return succeeded;
+};
+
+export const processWebhookDeliveries = async ({ batchSize = 50 } = {}) => {
+  let succeeded = 0;
+  let failed = 0;
+  for (let i = 0; i < batchSize; i += 1) {
+    const delivery = await claimNext();
+    if (!delivery) break;
+    if (await sendDelivery(delivery)) succeeded += 1;
+    else failed += 1;
+  }
+  return { succeeded, failed };
+};
+
+// Manual redelivery: queue the same payload again, keeping the attempt log
+export const redeliver = (deliveryId) =>
+  WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $ne: 'sending' } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+
+let running = false;
+
+// Every minute by default; WEBHOOK_WORKER_CRON overrides, WEBHOOK_WORKER_ENABLED=false turns it off
+export const scheduleWebhookWorker = () => {
+  if (process.env.WEBHOOK_WORKER_ENABLED === 'false') return null;
+
+  return cron.schedule(
+    process.env.WEBHOOK_WORKER_CRON || '* * * * *',
+    async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processWebhookDeliveries();
+      } catch (error) {
+        console.error('Webhook worker error:', error);
+      } finally {
+        running = false;
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
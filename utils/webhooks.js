@@ -0,0 +1,85 @@
+// utils/webhooks.js
+// Emitting webhook events. A delivery row is written for every active
+// subscription to the event, inside the caller's transaction when one is
+// given; utils/webhookWorker.js sends them.
+
+import crypto from 'crypto';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+export const bookingPayload = (booking) => ({
+  id: booking._id,
+  couponCode: booking.couponCode,
+  status: booking.status,
+  userId: booking.userId?._id || booking.userId,
+  customerName: booking.customerName,
+  customerPhone: booking.customerPhone,
+  items: booking.getLineItems().map((i) => ({
+    productId: i.productId,
+    ...(i.variantId && { variantId: i.variantId, variantSku: i.variantSku }),
+    productName: i.productName,
+    productCategory: i.productCategory,
+    quantity: i.quantity,
+    sellingPrice: i.sellingPrice,
+    totalAmount: i.totalAmount,
+  })),
+  quantity: booking.quantity,
+  subtotalAmount: booking.subtotalAmount ?? booking.totalAmount,
+  promoCode: booking.promoCode,
+  discountAmount: booking.discountAmount || 0,
+  totalAmount: booking.totalAmount,
+  paymentMode: booking.paymentMode,
+  paymentStatus: booking.paymentStatus,
+  amountPaid: booking.amountPaid || 0,
+  bookingDate: booking.bookingDate,
+  pickupSlot: booking.pickupSlot?.date ? { date: booking.pickupSlot.date, start: booking.pickupSlot.start, end: booking.pickupSlot.end } : undefined,
+  orderDate: booking.orderDate,
+  cancellationReason: booking.cancellationReason,
+  completedAt: booking.completedAt,
+  cancelledAt: booking.cancelledAt,
+});
+
+export const productPayload = (product) => ({
+  id: product._id,
+  name: product.name,
+  category: product.category,
+  price: product.price,
+  stock: product.stock,
+  availability: product.availability,
+});
+
+export const paymentPayload = (payment, booking) => ({
+  id: payment._id,
+  bookingId: payment.bookingId,
+  couponCode: booking?.couponCode,
+  gateway: payment.gateway,
+  gatewayOrderId: payment.gatewayOrderId,
+  gatewayPaymentId: payment.gatewayPaymentId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  refundedAmount: payment.refundedAmount,
+  failureReason: payment.failureReason,
+  bookingPaymentStatus: booking?.paymentStatus,
+});
+
+// Queue `event` for every active subscriber. Returns the number of deliveries.
+export const emitWebhookEvent = async (event, data, session) => {
+  const subscriptions = await WebhookSubscription.find({ isActive: true, events: event })
+    .select('_id')
+    .session(session || null);
+  if (!subscriptions.length) return 0;
+
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data: JSON.parse(JSON.stringify(data)) };
+
+  await WebhookDelivery.insertMany(
+    subscriptions.map((s) => ({ subscriptionId: s._id, eventId, event, payload })),
+    { session }
+  );
+  return subscriptions.length;
+};
+
+// Signature sent in X-Webhook-Signature: HMAC-SHA256 over "<timestamp>.<raw body>"
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
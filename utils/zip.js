@@ -0,0 +1,76 @@
+// utils/zip.js
+// Reads the files out of a .zip held in memory (stored or deflated entries,
+// no encryption or ZIP64) — enough for image bundles uploaded by admins.
+
+import zlib from 'zlib';
+import { HttpError } from './httpError.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+export class ZipError extends HttpError {}
+
+const findEndOfCentralDirectory = (buffer) => {
+  // The record is 22 bytes plus a comment of up to 64KB at the very end
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new ZipError('Not a zip file');
+};
+
+// Map of entry name -> Buffer for every file (directories are skipped)
+export const readZip = (buffer, { maxEntries = 1000, maxTotalBytes = 200 * 1024 * 1024 } = {}) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw new ZipError('Not a zip file');
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new ZipError('ZIP64 archives are not supported');
+  if (count > maxEntries) throw new ZipError(`Zip has more than ${maxEntries} entries`);
+
+  const files = new Map();
+  let totalBytes = 0;
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipError('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new ZipError(`${name} is encrypted`);
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) throw new ZipError('Zip contents are too large');
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new ZipError(`Corrupt zip entry ${name}`);
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (start + compressedSize > buffer.length) throw new ZipError(`Corrupt zip entry ${name}`);
+    const data = buffer.subarray(start, start + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      // maxOutputLength guards against entries that lie about their size
+      try {
+        files.set(name, zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }));
+      } catch {
+        throw new ZipError(`Corrupt zip entry ${name}`);
+      }
+    } else {
+      throw new ZipError(`${name} uses an unsupported compression method`);
+    }
+  }
+  return files;
+};